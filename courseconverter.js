@@ -1,42 +1,197 @@
 #!/usr/bin/env node
 // =================================== MODULES ===================================
 // Built-in modules
+import crypto from 'crypto';
 import fs from 'fs';
+import os from 'os';
 import path from 'path';
+import util from 'util';
+import { pipeline } from 'stream/promises';
 import { fileURLToPath } from 'url';
+import { Worker, isMainThread, parentPort, workerData } from 'worker_threads';
 
 // Third-party modules
-import { program } from 'commander';
+import { program, InvalidArgumentError } from 'commander';
 import * as tar from 'tar';
+import extractZip from 'extract-zip';
+import yauzl from 'yauzl';
 import { XMLParser } from 'fast-xml-parser';
+import { minimatch } from 'minimatch';
 import NodeHtmlMarkdown from 'node-html-markdown';
 
 // Get current file path - ES Modules requirement
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
+// Converter version, recorded in the conversion manifest so upgrades invalidate cached output
+const CONVERTER_VERSION = JSON.parse(fs.readFileSync(path.join(__dirname, 'package.json'), 'utf8')).version;
+
 // ===============================================================================================
 // =================================== CLI SETUP =================================================
 // ===============================================================================================
 // Only setup CLI when running as main script, not when imported as module
 
-let options = { verbose: false };
+let options = { verbose: false, recursive: false, include: [], exclude: [], concurrency: 1 };
+// Default extraction limits for untrusted archives
+const DEFAULT_MAX_ARCHIVE_SIZE = 2 * 1024 ** 3; // 2GB uncompressed
+const DEFAULT_MAX_ENTRIES = 20000;
+// Input/output argument that stands for stdin/stdout
+const STDIO_PATH = '-';
 let resolvedInputPath = '';
 let resolvedOutputPath = '';
-const TEMP_ROOT = path.join(process.cwd(), 'temp');
+let stdoutOutput = false; // Output is staged in the temp workspace and streamed to stdout
+let tempRoot = ''; // Per-run workspace under the OS temp dir, created by prepareTempRoot
+let tempCleanupRegistered = false;
+
+// Collect repeatable CLI option values into an array
+function collectOption(value, previous) {
+  return previous.concat([value]);
+}
+
+// Parse a size such as 1048576, 500KB, 500MB or 2GB into bytes
+/**
+ * Parse a size such as 1048576, 500KB, 500MB or 2GB into bytes
+ * @param {string} value - Size value from the command line
+ * @returns {number} - Size in bytes
+ * @throws {InvalidArgumentError} When the value is not a positive size
+ */
+function parseSizeOption(value) {
+  const match = String(value).trim().match(/^(\d+(?:\.\d+)?)\s*(b|k|kb|m|mb|g|gb)?$/i);
+  if (!match) {
+    throw new InvalidArgumentError('Expected a size such as 500MB or 2GB.');
+  }
+  const units = { b: 1, k: 1024, kb: 1024, m: 1024 ** 2, mb: 1024 ** 2, g: 1024 ** 3, gb: 1024 ** 3 };
+  const bytes = Math.floor(parseFloat(match[1]) * units[(match[2] || 'b').toLowerCase()]);
+  if (bytes <= 0) {
+    throw new InvalidArgumentError('Size must be greater than zero.');
+  }
+  return bytes;
+}
+
+// Parse a positive integer count
+/**
+ * Parse a positive integer count
+ * @param {string} value - Count value from the command line
+ * @returns {number} - Parsed count
+ * @throws {InvalidArgumentError} When the value is not a positive integer
+ */
+function parseCountOption(value) {
+  const count = Number(value);
+  if (!Number.isInteger(count) || count <= 0) {
+    throw new InvalidArgumentError('Expected a positive integer.');
+  }
+  return count;
+}
+
+// Parse a positive number of seconds (fractions allowed)
+/**
+ * Parse a positive number of seconds (fractions allowed)
+ * @param {string} value - Seconds value from the command line
+ * @returns {number} - Parsed seconds
+ * @throws {InvalidArgumentError} When the value is not a positive number
+ */
+function parseSecondsOption(value) {
+  const seconds = Number(value);
+  if (!Number.isFinite(seconds) || seconds <= 0) {
+    throw new InvalidArgumentError('Expected a positive number of seconds.');
+  }
+  return seconds;
+}
+
+// Parse the --audience value
+/**
+ * Parse the --audience value
+ * @param {string} value - Audience from the command line
+ * @returns {string} - 'learner' or 'staff'
+ * @throws {InvalidArgumentError} When the audience is not supported
+ */
+function parseAudienceOption(value) {
+  const audience = String(value).trim().toLowerCase();
+  if (audience !== 'learner' && audience !== 'staff') {
+    throw new InvalidArgumentError('Expected learner or staff.');
+  }
+  return audience;
+}
+
+// Parse an --as-of date such as 2025-09-01, 2025-09-01T12:00:00Z or now
+/**
+ * Parse an --as-of date such as 2025-09-01, 2025-09-01T12:00:00Z or now
+ * @param {string} value - Date from the command line
+ * @returns {Date} - Parsed date
+ * @throws {InvalidArgumentError} When the value is not a valid date
+ */
+function parseDateOption(value) {
+  const text = String(value).trim();
+  const date = text.toLowerCase() === 'now' ? new Date() : new Date(text);
+  if (Number.isNaN(date.getTime())) {
+    throw new InvalidArgumentError('Expected a date such as 2025-09-01 or now.');
+  }
+  return date;
+}
+
+// Parse the --announcements placement
+/**
+ * Parse the --announcements placement
+ * @param {string} value - Placement from the command line
+ * @returns {string} - 'chapter' (before the course content) or 'appendix' (after it)
+ * @throws {InvalidArgumentError} When the placement is not supported
+ */
+function parseAnnouncementsOption(value) {
+  const placement = String(value).trim().toLowerCase();
+  if (placement !== 'chapter' && placement !== 'appendix') {
+    throw new InvalidArgumentError('Expected chapter or appendix.');
+  }
+  return placement;
+}
+
+// Parse the --stdout-format value
+/**
+ * Parse the --stdout-format value
+ * @param {string} value - Format from the command line
+ * @returns {string} - 'markdown' or 'tar'
+ * @throws {InvalidArgumentError} When the format is not supported
+ */
+function parseStdoutFormat(value) {
+  const format = String(value).trim().toLowerCase();
+  if (format === 'md' || format === 'markdown') {
+    return 'markdown';
+  }
+  if (format === 'tar') {
+    return 'tar';
+  }
+  throw new InvalidArgumentError('Expected markdown or tar.');
+}
 
 // Check if running as main script
-const isMainScript = import.meta.url === `file://${process.argv[1]}`;
+// Worker threads inherit process.argv, so they must be excluded explicitly
+const isMainScript = isMainThread && import.meta.url === `file://${process.argv[1]}`;
 
 if (isMainScript) {
   // Configure command line interface
   program
     .name('courseconverter')
     .description('Convert Open edX OLX courses to LiaScript Markdown format')
-    .version('1.0.0')
-    .argument('<input>', 'Input path: single .tar.gz file or directory containing multiple courses')
-    .argument('<output>', 'Output directory for converted courses')
+    .version(CONVERTER_VERSION)
+    .argument('<input>', 'Input path: course archive (.tar.gz, .tgz, .tar, .zip), extracted course directory, directory containing multiple courses, or - to read one archive from stdin')
+    .argument('<output>', 'Output directory for converted courses, or - to write to stdout')
     .option('-v, --verbose', 'Enable verbose logging')
+    .option('-r, --recursive', 'Search input directory recursively for courses')
+    .option('--include <glob>', 'Only convert courses whose relative path matches glob (repeatable)', collectOption, [])
+    .option('--exclude <glob>', 'Skip courses whose relative path matches glob (repeatable)', collectOption, [])
+    .option('--max-archive-size <size>', 'Maximum uncompressed size per archive, e.g. 500MB (default: 2GB)', parseSizeOption)
+    .option('-c, --concurrency <count>', 'Number of courses converted in parallel worker threads', parseCountOption, 1)
+    .option('--include-drafts', 'Merge unpublished content from drafts/ into the course, marked as unpublished')
+    .option('--drafts-only', 'Convert only unpublished content from drafts/ (implies --include-drafts)')
+    .option('--audience <audience>', 'Who the output is for: learner drops staff-only and hidden content, staff (default) keeps it', parseAudienceOption, 'staff')
+    .option('--as-of <date>', 'Drop chapters, sequentials and units whose start date is after this date (or now)', parseDateOption)
+    .option('--announcements <placement>', 'Convert info/ course updates and handouts into an Announcements chapter before (chapter) or after (appendix) the course content', parseAnnouncementsOption)
+    .option('-w, --watch', 'Keep running and reconvert a course whenever its archive or OLX files change')
+    .option('-f, --force', 'Reconvert every course, even when the manifest says it is unchanged')
+    .option('--course-timeout <seconds>', 'Abort a single course after this many seconds and record it as failed', parseSecondsOption)
+    .option('--retry-failed <results.json>', 'Only reprocess the courses that failed in a previous run\'s results file')
+    .option('--stdout-format <format>', 'What output - writes to stdout: markdown (course.md only) or tar (course folder with media/)', parseStdoutFormat, 'markdown')
+    .option('--keep-temp', 'Keep extracted archives in the temp workspace for debugging')
+    .option('--max-entries <count>', `Maximum number of entries per archive (default: ${DEFAULT_MAX_ENTRIES})`, parseCountOption)
     .helpOption('-h, --help', 'Display help information')
     .parse(process.argv);
 
@@ -44,9 +199,16 @@ if (isMainScript) {
   options = program.opts();
   const [inputPath, outputPath] = program.args;
 
-  // Resolve absolute paths
-  resolvedInputPath = path.resolve(process.cwd(), inputPath);
-  resolvedOutputPath = path.resolve(process.cwd(), outputPath);
+  // Resolve absolute paths; '-' stays as-is and means stdin/stdout
+  resolvedInputPath = inputPath === STDIO_PATH ? STDIO_PATH : path.resolve(process.cwd(), inputPath);
+  resolvedOutputPath = outputPath === STDIO_PATH ? STDIO_PATH : path.resolve(process.cwd(), outputPath);
+
+  // stdout carries the converted course, so all log output goes to stderr
+  if (resolvedOutputPath === STDIO_PATH) {
+    stdoutOutput = true;
+    console.log = console.error;
+    console.info = console.error;
+  }
 }
 
 // ================================================================================================
@@ -59,37 +221,260 @@ function displayConfiguration() {
   }
 }
 
-// Prepare temp root: clean previous run artifacts and recreate root
+// Prepare temp root: create a unique per-run workspace and register cleanup
+/**
+ * Prepare temp root: create a unique per-run workspace and register cleanup
+ * @returns {string} - Path to the workspace, e.g. /tmp/courseconverter-a1B2c3
+ * @description Each run gets its own workspace under the OS temp dir, so concurrent runs never
+ * touch each other's files. The workspace is removed on exit, SIGINT and SIGTERM unless
+ * --keep-temp is set.
+ */
 function prepareTempRoot() {
+  if (tempRoot && fs.existsSync(tempRoot)) {
+    return tempRoot;
+  }
   try {
-    if (fs.existsSync(TEMP_ROOT)) {
-      fs.rmSync(TEMP_ROOT, { recursive: true, force: true });
-      if (options.verbose) console.log(`Cleaned temp root: ${TEMP_ROOT}`);
-    }
-    fs.mkdirSync(TEMP_ROOT, { recursive: true });
-    if (options.verbose) console.log(`Ready temp root: ${TEMP_ROOT}`);
+    tempRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'courseconverter-'));
+    if (options.verbose) console.log(`Ready temp root: ${tempRoot}`);
   } catch (e) {
     console.error(`Failed to prepare temp root: ${e.message}`);
     process.exit(1);
   }
+  registerTempCleanup();
+  return tempRoot;
+}
+
+// Remove the per-run workspace on exit and on SIGINT/SIGTERM
+function registerTempCleanup() {
+  if (tempCleanupRegistered) return;
+  tempCleanupRegistered = true;
+
+  process.on('exit', () => cleanupTempRoot());
+  const exitCodes = { SIGINT: 130, SIGTERM: 143 };
+  for (const signal of Object.keys(exitCodes)) {
+    process.once(signal, () => {
+      console.error(`\nReceived ${signal}, cleaning up...`);
+      cleanupTempRoot();
+      process.exit(exitCodes[signal]);
+    });
+  }
+}
+
+// Remove the per-run workspace (kept when --keep-temp is set)
+/**
+ * Remove the per-run workspace (kept when --keep-temp is set)
+ * @description Synchronous so it can run from process 'exit' handlers
+ */
+function cleanupTempRoot() {
+  if (!tempRoot || !fs.existsSync(tempRoot)) {
+    return;
+  }
+  if (options.keepTemp) {
+    console.log(`Kept temp workspace: ${tempRoot}`);
+  } else {
+    cleanupTempFiles(tempRoot);
+  }
+  tempRoot = '';
+}
+
+// Supported archive extensions, longest first so '.tar.gz' wins over '.gz'
+const ARCHIVE_EXTENSIONS = [
+  { ext: '.tar.gz', format: 'tar.gz' },
+  { ext: '.tgz', format: 'tar.gz' },
+  { ext: '.tar', format: 'tar' },
+  { ext: '.zip', format: 'zip' }
+];
+
+// Detect archive format from magic bytes
+/**
+ * Detect archive format from magic bytes
+ * @param {string} filePath - Path to file
+ * @returns {string|null} - 'tar.gz', 'tar', 'zip' or null when the header is not recognised
+ * @example
+ * const format = detectArchiveMagic('/path/to/export.bin');
+ * Returns: 'zip'
+ */
+function detectArchiveMagic(filePath) {
+  const header = Buffer.alloc(512);
+  let bytesRead = 0;
+  const fd = fs.openSync(filePath, 'r');
+  try {
+    bytesRead = fs.readSync(fd, header, 0, header.length, 0);
+  } finally {
+    fs.closeSync(fd);
+  }
+
+  if (bytesRead >= 2 && header[0] === 0x1f && header[1] === 0x8b) {
+    return 'tar.gz';
+  }
+  if (bytesRead >= 4 && header[0] === 0x50 && header[1] === 0x4b &&
+      ((header[2] === 0x03 && header[3] === 0x04) || (header[2] === 0x05 && header[3] === 0x06))) {
+    return 'zip';
+  }
+  if (bytesRead >= 262 && header.toString('ascii', 257, 262) === 'ustar') {
+    return 'tar';
+  }
+  return null;
+}
+
+// Detect archive format by magic bytes, falling back to the file extension
+/**
+ * Detect archive format by magic bytes, falling back to the file extension
+ * @param {string} filePath - Path to file
+ * @returns {string|null} - 'tar.gz', 'tar', 'zip' or null when the file is not a supported archive
+ * @example
+ * const format = detectArchiveFormat('/path/to/course.tgz');
+ * Returns: 'tar.gz'
+ */
+function detectArchiveFormat(filePath) {
+  const magic = detectArchiveMagic(filePath);
+  if (magic) {
+    return magic;
+  }
+  const lowerName = path.basename(filePath).toLowerCase();
+  const match = ARCHIVE_EXTENSIONS.find(({ ext }) => lowerName.endsWith(ext));
+  return match ? match.format : null;
+}
+
+// Check whether a directory is an extracted OLX course
+/**
+ * Check whether a directory is an extracted OLX course
+ * @param {string} dirPath - Directory path
+ * @returns {boolean} - True when the directory (or its single wrapper folder) holds course.xml
+ */
+function isCourseDirectory(dirPath) {
+  return fs.existsSync(path.join(dirPath, 'course.xml')) || Boolean(findWrappedCourseDir(dirPath));
+}
+
+// Find course.xml inside a single wrapper folder (equivalent of tar's strip: 1)
+/**
+ * Find course.xml inside a single wrapper folder (equivalent of tar's strip: 1)
+ * @param {string} dirPath - Directory path
+ * @returns {string|null} - Wrapper folder path, or null when there is none
+ */
+function findWrappedCourseDir(dirPath) {
+  const entries = fs.readdirSync(dirPath, { withFileTypes: true })
+    .filter(entry => !entry.name.startsWith('.') && entry.name !== '__MACOSX');
+  if (entries.length !== 1 || !entries[0].isDirectory()) {
+    return null;
+  }
+  const wrapped = path.join(dirPath, entries[0].name);
+  return fs.existsSync(path.join(wrapped, 'course.xml')) ? wrapped : null;
+}
+
+// Get course name from an input path (archive or directory)
+/**
+ * Get course name from an input path (archive or directory)
+ * @param {string} inputPath - Archive or directory path
+ * @returns {string} - Course name without archive extension
+ * @example
+ * getCourseName('/path/to/course1.tgz');
+ * Returns: 'course1'
+ */
+function getCourseName(inputPath) {
+  const baseName = path.basename(inputPath);
+  const match = ARCHIVE_EXTENSIONS.find(({ ext }) => baseName.toLowerCase().endsWith(ext));
+  return match ? baseName.slice(0, -match.ext.length) : baseName;
+}
+
+// Check a course path against include/exclude glob filters
+/**
+ * Check a course path against include/exclude glob filters
+ * @param {string} relativePath - Course path relative to the input directory
+ * @param {string[]} include - Globs the path must match (any); empty means include all
+ * @param {string[]} exclude - Globs the path must not match
+ * @returns {boolean} - Whether the course should be processed
+ * @description Patterns without a slash also match the bare file or folder name
+ * @example
+ * matchesCourseFilters('science/2025/physics.tar.gz', ['science/**'], ['draft-*']);
+ * Returns: true
+ */
+function matchesCourseFilters(relativePath, include = [], exclude = []) {
+  const posixPath = relativePath.split(path.sep).join('/');
+  const matches = pattern => minimatch(posixPath, pattern, { dot: true, matchBase: !pattern.includes('/') });
+  
+  if (include.length > 0 && !include.some(matches)) {
+    return false;
+  }
+  return !exclude.some(matches);
+}
+
+// Scan directory for course inputs
+/**
+ * Scan directory for course inputs
+ * @param {string} dirPath - Directory to scan
+ * @param {boolean} recursive - Whether to descend into non-course subdirectories
+ * @returns {string[]} - Array of archive and course directory paths
+ * @description Extracted course directories are returned as a whole and never descended into
+ */
+function scanCourseInputs(dirPath, recursive) {
+  const courseInputs = [];
+  const entries = fs.readdirSync(dirPath, { withFileTypes: true })
+    .filter(entry => !entry.name.startsWith('.') && entry.name !== '__MACOSX')
+    .sort((a, b) => a.name.localeCompare(b.name));
+  
+  for (const entry of entries) {
+    const fullPath = path.join(dirPath, entry.name);
+    const entryStats = fs.statSync(fullPath);
+    
+    if (entryStats.isDirectory()) {
+      if (isCourseDirectory(fullPath)) {
+        courseInputs.push(fullPath);
+      } else if (recursive) {
+        courseInputs.push(...scanCourseInputs(fullPath, recursive));
+      }
+    } else if (entryStats.isFile() && detectArchiveFormat(fullPath)) {
+      courseInputs.push(fullPath);
+    }
+  }
+  
+  return courseInputs;
+}
+
+// Get course output name, mirroring the input's relative folder structure
+/**
+ * Get course output name, mirroring the input's relative folder structure
+ * @param {string} coursePath - Archive or course directory path
+ * @param {string} [inputRoot] - Input directory the course was discovered in
+ * @returns {string} - Course path relative to the output directory
+ * @example
+ * getCourseOutputName('/in/faculty/term/course.tar.gz', '/in');
+ * Returns: 'faculty/term/course'
+ */
+function getCourseOutputName(coursePath, inputRoot = resolvedInputPath) {
+  const courseName = getCourseName(coursePath);
+  if (!inputRoot || path.resolve(coursePath) === path.resolve(inputRoot)) {
+    return courseName;
+  }
+  const relativeDir = path.relative(inputRoot, path.dirname(coursePath));
+  if (!relativeDir || relativeDir.startsWith('..') || path.isAbsolute(relativeDir)) {
+    return courseName;
+  }
+  return path.join(relativeDir, courseName);
 }
 
 // Get file information and validate input path
 /**
  * Get file information and validate input path
  * @param {string} inputPath - Path to validate
+ * @param {Object} [scanOptions] - Scan options (defaults to CLI options)
+ * @param {boolean} [scanOptions.recursive] - Search subdirectories for courses
+ * @param {string[]} [scanOptions.include] - Include globs, matched against paths relative to inputPath
+ * @param {string[]} [scanOptions.exclude] - Exclude globs, matched against paths relative to inputPath
  * @returns {Object} - Object containing validation result and file list
- * @description Validates input path and returns file information
+ * @description Validates input path and returns course inputs: archives (.tar.gz, .tgz, .tar, .zip)
+ * and extracted course directories
  * @throws {Error} When input path is invalid
  * @example
- * const result = getFileInfo('/path/to/courses');
- * Returns: { isValid: true, isFile: false, isDirectory: true, files: ['file1.tar.gz', 'file2.tar.gz'] }
+ * const result = getFileInfo('/path/to/courses', { recursive: true });
+ * Returns: { isValid: true, isFile: false, isDirectory: true, files: ['file1.tar.gz', 'faculty/term/file2.zip'] }
  */
-function getFileInfo(inputPath) {
+function getFileInfo(inputPath, scanOptions = options) {
   if (!fs.existsSync(inputPath)) {
     throw new Error(`Input path does not exist: ${inputPath}`);
   }
   
+  const { recursive = false, include = [], exclude = [] } = scanOptions;
   const stats = fs.statSync(inputPath);
   const result = {
     isValid: false,
@@ -100,31 +485,44 @@ function getFileInfo(inputPath) {
   
   if (stats.isFile()) {
     // Single file validation
-    if (!inputPath.endsWith('.tar.gz')) {
-      throw new Error(`Input file must be a .tar.gz file: ${inputPath}`);
+    if (!detectArchiveFormat(inputPath)) {
+      throw new Error(`Input file must be a .tar.gz, .tgz, .tar or .zip archive: ${inputPath}`);
     }
     result.isValid = true;
     result.files = [inputPath];
     
   } else if (stats.isDirectory()) {
-    // Directory validation
-    const files = fs.readdirSync(inputPath);
-    const tarGzFiles = files.filter(file => file.endsWith('.tar.gz')); // Return: ['file1.tar.gz', 'file2.tar.gz']
+    // Extracted course directory
+    if (fs.existsSync(path.join(inputPath, 'course.xml'))) {
+      result.isValid = true;
+      result.files = [inputPath];
+      if (options.verbose) {
+        console.log(`Found extracted course directory: ${path.basename(inputPath)}`);
+      }
+      return result;
+    }
+
+    // Directory of archives and/or extracted course directories
+    const courseInputs = scanCourseInputs(inputPath, recursive)
+      .filter(fullPath => matchesCourseFilters(path.relative(inputPath, fullPath), include, exclude));
+      // Return: ['/path/to/input/file1.tar.gz', '/path/to/input/faculty/term/course-folder']
     
-    if (tarGzFiles.length === 0) {
-      throw new Error(`Input directory contains no .tar.gz files: ${inputPath}`);
+    if (courseInputs.length === 0) {
+      const scope = recursive ? 'directory tree' : 'directory';
+      const filtered = include.length > 0 || exclude.length > 0 ? ' matching the include/exclude filters' : '';
+      throw new Error(`Input ${scope} contains no course archives or course directories${filtered}: ${inputPath}`);
     }
     
     result.isValid = true;
-    result.files = tarGzFiles.map(file => path.join(inputPath, file)); // Return: ['/path/to/input/file1.tar.gz', '/path/to/input/file2.tar.gz']
+    result.files = courseInputs;
     
 
     if (options.verbose && result.isValid) {
       if (result.files.length === 1) {
-        console.log(`Found single .tar.gz file: ${path.basename(result.files[0])}`);
+        console.log(`Found single course input: ${path.relative(inputPath, result.files[0])}`);
       } else {
-        console.log(`Found ${result.files.length} .tar.gz files:`);
-        result.files.forEach(file => console.log(`   - ${path.basename(file)}`));
+        console.log(`Found ${result.files.length} course inputs:`);
+        result.files.forEach(file => console.log(`   - ${path.relative(inputPath, file)}`));
       }
     }
 
@@ -138,7 +536,7 @@ function getFileInfo(inputPath) {
  * Validate input path
  * @param {string} inputPath - Path to validate
  * @returns {boolean} - Whether path is valid
- * @description Validates that input path exists and contains valid .tar.gz files
+ * @description Validates that input path exists and contains course archives or course directories
  * @throws {Error} When input path is invalid
  */
 function validateInputPath(inputPath) {
@@ -151,76 +549,275 @@ function validateInputPath(inputPath) {
   }
 }
 
-// Get list of .tar.gz files to process
+// Get list of course inputs to process
 /**
- * Get list of .tar.gz files to process
+ * Get list of course inputs to process
 
  * @param {string} inputPath - Input path (file or directory)
- * @returns {string[]} - Array of .tar.gz file paths
- * @description Scans input path and returns array of .tar.gz files
+ * @returns {string[]} - Array of course archive and course directory paths
+ * @description Scans input path and returns array of course inputs
  * @throws {Error} When input path is invalid
  */
-function getTarGzFiles(inputPath) {
+function getCourseFiles(inputPath) {
   const fileInfo = getFileInfo(inputPath);
   return fileInfo.files;
 }
 
+// Save a course archive piped on stdin into the temp workspace
+/**
+ * Save a course archive piped on stdin into the temp workspace
+ * @param {stream.Readable} [input] - Stream to read, defaults to process.stdin
+ * @returns {Promise<string>} - Path to the saved archive, named "course"
+ * @description The archive has no file name, so its format is detected by magic bytes only.
+ * @throws {Error} When stdin is a terminal, empty, or not a supported archive
+ * @example
+ * const archivePath = await readStdinArchive();
+ * Returns: '/tmp/courseconverter-a1B2c3/stdin-x9Y8z7/course'
+ */
+async function readStdinArchive(input = process.stdin) {
+  if (input.isTTY) {
+    throw new Error('Input - expects a course archive piped on stdin');
+  }
+  
+  const stdinDir = fs.mkdtempSync(path.join(prepareTempRoot(), 'stdin-'));
+  const archivePath = path.join(stdinDir, 'course');
+  await pipeline(input, fs.createWriteStream(archivePath));
+  
+  if (fs.statSync(archivePath).size === 0) {
+    throw new Error('No course archive received on stdin');
+  }
+  if (!detectArchiveMagic(archivePath)) {
+    throw new Error('Data on stdin is not a .tar.gz, .tar or .zip archive');
+  }
+  if (options.verbose) {
+    console.log(`Read ${fs.statSync(archivePath).size} bytes from stdin`);
+  }
+  return archivePath;
+}
+
 // ================================================================================================
 // =================================== Extract Module =============================================
 // ================================================================================================
 
-// Extract .tar.gz file to temporary directory
+// Get archive extraction limits from CLI options
+/**
+ * Get archive extraction limits from CLI options
+ * @returns {{ maxArchiveSize: number, maxEntries: number }} - Extraction limits
+ */
+function getExtractionLimits() {
+  return {
+    maxArchiveSize: options.maxArchiveSize || DEFAULT_MAX_ARCHIVE_SIZE,
+    maxEntries: options.maxEntries || DEFAULT_MAX_ENTRIES
+  };
+}
+
+// Check whether a path stays inside a base directory
+function isPathInside(baseDir, targetPath) {
+  const relative = path.relative(baseDir, targetPath);
+  return relative === '' || (!relative.startsWith('..') && !path.isAbsolute(relative));
+}
+
+// List archive entries without extracting them
+/**
+ * List archive entries without extracting them
+ * @param {string} archivePath - Path to archive
+ * @param {string} format - Archive format ('tar.gz', 'tar' or 'zip')
+ * @returns {Promise<Object[]>} - Entries as { path, type, size, linkpath }
+ * @description type is one of 'file', 'directory', 'symlink', 'hardlink' or 'other'
+ */
+async function listArchiveEntries(archivePath, format) {
+  if (format === 'zip') {
+    return listZipEntries(archivePath);
+  }
+
+  const typeNames = {
+    File: 'file',
+    OldFile: 'file',
+    ContiguousFile: 'file',
+    Directory: 'directory',
+    SymbolicLink: 'symlink',
+    Link: 'hardlink'
+  };
+  const entries = [];
+  await tar.list({
+    file: archivePath,
+    onReadEntry: entry => {
+      entries.push({
+        path: entry.path,
+        type: typeNames[entry.type] || (entry.meta ? 'meta' : 'other'),
+        size: entry.size || 0,
+        linkpath: entry.linkpath
+      });
+    }
+  });
+  return entries.filter(entry => entry.type !== 'meta');
+}
+
+// List zip entries from the central directory without loading the archive into memory
+/**
+ * List zip entries from the central directory without loading the archive into memory
+ * @param {string} archivePath - Path to .zip archive
+ * @returns {Promise<Object[]>} - Entries as { path, type, size, linkpath }
+ * @description Only symlink entries are read, to get their (short) target path
+ */
+function listZipEntries(archivePath) {
+  const openZip = util.promisify(yauzl.open);
+  return openZip(archivePath, { lazyEntries: true, decodeStrings: true }).then(zipfile => new Promise((resolve, reject) => {
+    const openReadStream = util.promisify(zipfile.openReadStream.bind(zipfile));
+    const entries = [];
+    const fail = error => {
+      zipfile.close();
+      reject(error);
+    };
+    zipfile.on('error', fail);
+    zipfile.on('end', () => resolve(entries));
+    zipfile.on('entry', entry => {
+      const mode = (entry.externalFileAttributes >>> 16) & 0o170000;
+      const isSymlink = mode === 0o120000;
+      const listed = {
+        path: entry.fileName,
+        type: entry.fileName.endsWith('/') ? 'directory' : (isSymlink ? 'symlink' : 'file'),
+        size: entry.uncompressedSize
+      };
+      entries.push(listed);
+      if (!isSymlink) {
+        zipfile.readEntry();
+        return;
+      }
+      openReadStream(entry)
+        .then(async stream => {
+          const chunks = [];
+          for await (const chunk of stream) {
+            chunks.push(chunk);
+          }
+          listed.linkpath = Buffer.concat(chunks).toString('utf8');
+          zipfile.readEntry();
+        })
+        .catch(fail);
+    });
+    zipfile.readEntry();
+  }));
+}
+
+// Validate archive entries against extraction limits and the extraction directory
+/**
+ * Validate archive entries against extraction limits and the extraction directory
+ * @param {Object[]} entries - Entries from listArchiveEntries
+ * @param {string} targetDir - Directory the archive will be extracted into
+ * @param {{ maxArchiveSize: number, maxEntries: number }} limits - Extraction limits
+ * @description Refuses archives that are too large, have too many entries, contain entries
+ * that resolve outside targetDir (absolute paths, '..'), links pointing outside targetDir,
+ * or device/FIFO entries
+ * @throws {Error} When any entry or limit check fails
+ */
+function validateArchiveEntries(entries, targetDir, limits) {
+  if (entries.length > limits.maxEntries) {
+    throw new Error(`Archive has ${entries.length} entries, exceeding --max-entries ${limits.maxEntries}`);
+  }
+
+  let totalSize = 0;
+  for (const entry of entries) {
+    const entryPath = entry.path.replace(/\\/g, '/');
+    const destination = path.resolve(targetDir, entryPath);
+    if (path.isAbsolute(entryPath) || /^[a-zA-Z]:/.test(entryPath) || !isPathInside(targetDir, destination)) {
+      throw new Error(`Refusing archive entry outside extraction directory: ${entry.path}`);
+    }
+
+    if (entry.type === 'symlink' || entry.type === 'hardlink') {
+      const linkpath = String(entry.linkpath || '');
+      // Symlink targets are relative to the link's folder, hard links to the archive root
+      const linkBase = entry.type === 'symlink' ? path.dirname(destination) : targetDir;
+      if (!linkpath || path.isAbsolute(linkpath) || !isPathInside(targetDir, path.resolve(linkBase, linkpath))) {
+        throw new Error(`Refusing ${entry.type} escaping extraction directory: ${entry.path} -> ${linkpath}`);
+      }
+    } else if (entry.type === 'other') {
+      throw new Error(`Refusing special archive entry (device or FIFO): ${entry.path}`);
+    }
+
+    totalSize += entry.size || 0;
+    if (totalSize > limits.maxArchiveSize) {
+      throw new Error(`Archive expands beyond --max-archive-size ${limits.maxArchiveSize} bytes`);
+    }
+  }
+}
+
+// Extract course archive to temporary directory
 /**
- * Extract .tar.gz file to temporary directory
- * @param {string} tarGzPath - Path to .tar.gz file
+ * Extract course archive to temporary directory
+ * @param {string} coursePath - Path to course archive (.tar.gz, .tgz, .tar, .zip) or extracted course directory
+ * @param {{ maxArchiveSize: number, maxEntries: number }} [limits] - Extraction limits (defaults to CLI options)
  * @returns {Promise<string>} - Path to extracted directory
- * @description Extracts course file and returns path to extracted content
- * @throws {Error} When extraction fails
+ * @description Checks archive entries against the extraction limits, then extracts course file
+ * and returns path to extracted content. Extracted course directories are used in place.
+ * @throws {Error} When the archive is refused or extraction fails
  * @example
  * const extractedDir = await extractCourse('/path/to/course.tar.gz');
- * Returns: '/path/to/temp/course/'
+ * Returns: '/tmp/courseconverter-a1B2c3/course-x9Y8z7/' (the course root may sit in a wrapper folder, see resolveCourseRoots)
  */
-async function extractCourse(tarGzPath) {
-  // Create temporary directory for extraction
-  const tempDir = path.join(TEMP_ROOT, path.basename(tarGzPath, '.tar.gz'));
-  
-  // Clean up existing temp directory if it exists
-  if (fs.existsSync(tempDir)) {
-    fs.rmSync(tempDir, { recursive: true, force: true });
+async function extractCourse(coursePath, limits = getExtractionLimits()) {
+  if (fs.statSync(coursePath).isDirectory()) {
+    if (options.verbose) {
+      console.log(`Using extracted course directory: ${coursePath}`);
+    }
+    return coursePath;
   }
-  
-  // Create temp directory
-  fs.mkdirSync(tempDir, { recursive: true });
+
+  const format = detectArchiveFormat(coursePath);
+  if (!format) {
+    throw new Error(`Unsupported course archive: ${coursePath}`);
+  }
+
+  // Create a unique temporary directory for extraction (same-named courses may share a run)
+  const courseTempPrefix = sanitizeFileName(getCourseName(coursePath)) || 'course';
+  const tempDir = fs.mkdtempSync(path.join(prepareTempRoot(), `${courseTempPrefix}-`));
   
   try {
-    // Extract .tar.gz file using tar library
-    await tar.extract({
-      file: tarGzPath,
-      cwd: tempDir,
-      strip: 1
-    });
+    // Refuse unsafe archives before writing anything to disk
+    const entries = await listArchiveEntries(coursePath, format);
+    validateArchiveEntries(entries, tempDir, limits);
+
+    // Extract as-is: the course root is located afterwards by resolveCourseRoots
+    if (format === 'zip') {
+      await extractZip(coursePath, { dir: tempDir });
+    } else {
+      // Extract .tar.gz / .tar file using tar library (compression is auto-detected)
+      await tar.extract({
+        file: coursePath,
+        cwd: tempDir
+      });
+    }
     
     if (options.verbose) {
-      console.log(`Extracted to: ${tempDir}`);
+      console.log(`Extracted ${format} to: ${tempDir}`);
     }
     
     return tempDir;
   } catch (error) {
-    // Clean up temp directory on error
-    if (fs.existsSync(tempDir)) {
+    // Clean up temp directory on error, unless it is kept for debugging
+    if (!options.keepTemp && fs.existsSync(tempDir)) {
       fs.rmSync(tempDir, { recursive: true, force: true });
     }
     throw new Error(`Failed to extract course: ${error.message}`);
   }
 }
 
+// Check whether an extracted directory lives in the per-run workspace
+/**
+ * Check whether an extracted directory lives in the per-run workspace
+ * @param {string} dir - Directory returned by extractCourse
+ * @returns {boolean} - True for extracted archives, false for course directories used in place
+ */
+function isTempPath(dir) {
+  return Boolean(tempRoot) && dir !== tempRoot && isPathInside(tempRoot, dir);
+}
+
 /**
  * Clean up temporary extracted files
 
  * @param {string} tempDir - Path to temporary directory
  * @description Removes temporary directory and its contents
  * @example
- * cleanupTempFiles('/path/to/temp/course/');
+ * cleanupTempFiles('/tmp/courseconverter-a1B2c3/course-x9Y8z7/');
  */
 function cleanupTempFiles(tempDir) {
   try {
@@ -239,7 +836,23 @@ function cleanupTempFiles(tempDir) {
 
 // Create XML parser instance from fast-xml-parser
 function createXmlParser() {
-  return new XMLParser({ ignoreAttributes: false, attributeNamePrefix: '@_' });
+  let order = 0;
+  return new XMLParser({
+    ignoreAttributes: false,
+    attributeNamePrefix: '@_',
+    // <html> and <problem> blocks keep their markup as a raw string instead of parsed XML
+    stopNodes: ['html', '*.html', 'problem', '*.problem'],
+    // Number the children of course structure elements so mixed children keep document order
+    updateTag(tagName, jPath, attrs) {
+      const segments = jPath.split('.');
+      if (segments[segments.length - 1] === tagName) segments.pop();
+      const parent = (segments[segments.length - 1] || '').toLowerCase();
+      if (parent === 'course' || CONTAINER_KINDS.includes(parent)) {
+        attrs[ORDER_KEY] = order++;
+      }
+      return tagName;
+    }
+  });
 }
 // ================================================================================================
 // =================================== Processing Module ===========================================
@@ -258,153 +871,627 @@ function toArray(maybeArray) {
   return Array.isArray(maybeArray) ? maybeArray : [maybeArray];
 }
 
-// Resolve course root directory
-/**
- * Resolve course root directory
-
- * @param {string} extractedDir - Path to extracted directory
- * @returns {string} - Path to course root directory
- * @description Resolves course root directory from extracted directory
- * @throws {Error} When course root directory cannot be resolved
- * @example
- * const courseRoot = resolveCourseRoot('/path/to/extracted/course/');
- * Returns: '/path/to/extracted/course/'
- */
-function resolveCourseRoot(extractedDir) {
-  const courseXmlPath = path.join(extractedDir, 'course.xml');
-  
-  if (fs.existsSync(courseXmlPath)) {
-    return extractedDir;
-  } else {
-    throw new Error(`course.xml not found under ${extractedDir}`);
-  }
+// Unwrap CDATA sections kept verbatim in raw element bodies
+function unwrapCdata(text) {
+  return String(text).replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1').trim();
 }
 
-// Parse course.xml file to get course information
+// Create an XML parser for the body of a <problem>
 /**
- * Parse course.xml file to get course information
- * @param {string} courseRoot - Path to course root directory
- * @returns {Object} - Course information
- * @description Parses course.xml file to get course information
- * @throws {Error} When course.xml file is not found
+ * Create an XML parser for the body of a <problem>
+ * @param {boolean} [preserveOrder=false] - Keep mixed content in document order, for rendering
+ * @returns {XMLParser} - Parser instance
+ * @description The object form is used to detect response types. The ordered form keeps text,
+ * markup and response elements in document order and leaves entities encoded, so nodes can be
+ * written back out as HTML with serializeOrderedXml.
  */
-function parseCourseXml(courseRoot) {
-  const courseXmlPath = path.join(courseRoot, 'course.xml');
-  if (!fs.existsSync(courseXmlPath)) {
-    throw new Error(`course.xml not found at ${courseXmlPath}`);
-  }
-  // 1. Basic root info
-  const rootObj = readXmlAsObject(courseXmlPath);
-  const rootNode = rootObj.course || rootObj.COURSE || {};
-  const urlName = rootNode['@_url_name'];
-  const org = rootNode['@_org'];
-  const courseCode = rootNode['@_course'];
-
-  // 2. Details
-  const detailedPath = urlName ? path.join(courseRoot, 'course', `${urlName}.xml`) : null;
-  const detailedExists = detailedPath && fs.existsSync(detailedPath);
-  const obj = detailedExists ? readXmlAsObject(detailedPath) : rootObj;
-  const node = obj.course || obj.COURSE || {};
+function createProblemParser(preserveOrder = false) {
+  return new XMLParser({
+    ignoreAttributes: false,
+    attributeNamePrefix: '@_',
+    ...(preserveOrder && { preserveOrder: true, trimValues: false, parseTagValue: false, processEntities: false })
+  });
+}
 
-  const title = node['@_display_name'] || node.display_name || urlName || 'Untitled Course';
-  const courseId = node['@_course'] || courseCode || node['@_url_name'] || urlName || 'unknown';
-  const chapterRefs = toArray(node.chapter || node.CHAPTER || [])
-    .map(n => n['@_url_name'])
-    .filter(Boolean);
-  return { title, courseId, chapterRefs };
+// Tag name of an order-preserving node, or null for text
+function getOrderedTag(node) {
+  return Object.keys(node).find(key => key !== ':@' && key !== '#text') || null;
 }
 
-// Parse chapters from course.xml
-/**
- * Parse chapters from course.xml
- * @param {string} courseRoot - Path to course root directory
- * @param {string[]} chapterRefs - Array of chapter references
- * @returns {Object[]} - Array of chapter information
- */
-function parseChapters(courseRoot, chapterRefs) {
-  return chapterRefs.map(ref => {
-    const chapterPath = path.join(courseRoot, 'chapter', `${ref}.xml`);
-    if (!fs.existsSync(chapterPath)) {
-      if (options.verbose) console.warn(`Missing chapter file: ${chapterPath}`);
-      return { id: ref, title: `Missing chapter ${ref}`, sequentials: [] };
-    }
-    const obj = readXmlAsObject(chapterPath);
-    const node = obj.chapter || obj.CHAPTER || {};
-    const title = node['@_display_name'] || node.display_name || ref;
-    const sequentialRefs = toArray(node.sequential || node.SEQUENTIAL || [])
-      .map(n => n['@_url_name'])
-      .filter(Boolean);
-    const sequentials = parseSequentials(courseRoot, sequentialRefs);
-    return { id: ref, title, sequentials };
+// Named XML entities; numeric ones (&#38; &#x26;) are decoded by code point
+const XML_ENTITIES = { lt: '<', gt: '>', amp: '&', quot: '"', apos: "'" };
+
+// Decode the XML entities the order-preserving parser leaves in place
+function decodeXmlEntities(text) {
+  return String(text).replace(/&(#x[0-9a-f]+|#[0-9]+|[a-z]+);/gi, (entity, name) => {
+    if (name[0] === '#') {
+      const codePoint = name[1].toLowerCase() === 'x' ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10);
+      return codePoint <= 0x10FFFF ? String.fromCodePoint(codePoint) : entity;
+    }
+    return XML_ENTITIES[name.toLowerCase()] ?? entity;
   });
 }
 
-// Parse sequentials from course.xml
+// Attributes of an order-preserving node without the '@_' prefix, with entities decoded
+function getOrderedAttributes(node) {
+  return Object.fromEntries(Object.entries(node[':@'] || {}).map(([key, value]) => [key.replace(/^@_/, ''), decodeXmlEntities(value)]));
+}
+
+// Elements written as <tag/> when they have no children
+const VOID_ELEMENTS = ['area', 'br', 'col', 'embed', 'hr', 'img', 'input', 'source', 'track', 'wbr'];
+
+// Write order-preserving nodes back out as markup
 /**
- * Parse sequentials from course.xml
- * @param {string} courseRoot - Path to course root directory
- * @param {string[]} sequentialRefs - Array of sequential references
- * @returns {Object[]} - Array of sequential information
+ * Write order-preserving nodes back out as markup
+ * @param {Object[]} nodes - Nodes from createProblemParser(true)
+ * @returns {string} - HTML/XML string
+ * @example
+ * serializeOrderedXml([{ p: [{ '#text': 'Hi ' }, { img: [], ':@': { '@_src': 'a.png' } }] }]);
+ * Returns: '<p>Hi <img src="a.png"/></p>'
  */
-function parseSequentials(courseRoot, sequentialRefs) {
-  return sequentialRefs.map(ref => {
-    const sequentialPath = path.join(courseRoot, 'sequential', `${ref}.xml`);
-    if (!fs.existsSync(sequentialPath)) {
-      if (options.verbose) console.warn(`Missing sequential file: ${sequentialPath}`);
-      return { id: ref, title: `Missing sequential ${ref}`, verticals: [] };
-    }
-    const obj = readXmlAsObject(sequentialPath);
-    const node = obj.sequential || obj.SEQUENTIAL || {};
-    const title = node['@_display_name'] || node.display_name || ref;
-    const verticalRefs = toArray(node.vertical || node.VERTICAL || [])
-      .map(n => n['@_url_name'])
-      .filter(Boolean);
-    const verticals = parseVerticals(courseRoot, verticalRefs);
-    return { id: ref, title, verticals };
-  });
+function serializeOrderedXml(nodes) {
+  return toArray(nodes).map(node => {
+    const tag = getOrderedTag(node);
+    if (!tag) {
+      return String(node['#text'] ?? '');
+    }
+    const attributes = Object.entries(getOrderedAttributes(node))
+      .map(([key, value]) => ` ${key}="${value.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/"/g, '&quot;')}"`)
+      .join('');
+    const children = toArray(node[tag]);
+    if (children.length === 0 && VOID_ELEMENTS.includes(tag.toLowerCase())) {
+      return `<${tag}${attributes}/>`;
+    }
+    return `<${tag}${attributes}>${serializeOrderedXml(children)}</${tag}>`;
+  }).join('');
 }
 
-// Parse verticals from course.xml
+// Maximum folder depth searched for course.xml inside an extracted archive
+const COURSE_ROOT_SEARCH_DEPTH = 4;
+
+// Check whether course.xml is an OLX course root (a <course> element with url_name)
 /**
- * Parse verticals from course.xml
- * @param {string} courseRoot - Path to course root directory
- * @param {string[]} verticalRefs - Array of vertical references
- * @returns {Object[]} - Array of vertical information
+ * Check whether course.xml is an OLX course root (a <course> element with url_name)
+ * @param {string} courseXmlPath - Path to course.xml
+ * @returns {boolean} - Whether the file is a course root pointer
  */
-function parseVerticals(courseRoot, verticalRefs) {
-  return verticalRefs.map(ref => {
-    const verticalPath = path.join(courseRoot, 'vertical', `${ref}.xml`);
-    if (!fs.existsSync(verticalPath)) {
-      if (options.verbose) console.warn(`Missing vertical file: ${verticalPath}`);
-      return { id: ref, title: `Missing vertical ${ref}`, components: [] };
-    }
-    const obj = readXmlAsObject(verticalPath);
-    const node = obj.vertical || obj.VERTICAL || {};
-    const title = node['@_display_name'] || node.display_name || ref;
-    const components = collectComponentRefs(node);
-    return { id: ref, title, components };
+function isCourseRootXml(courseXmlPath) {
+  try {
+    const obj = readXmlAsObject(courseXmlPath);
+    const node = obj.course || obj.COURSE;
+    return Boolean(node && node['@_url_name']);
+  } catch (error) {
+    if (options.verbose) {
+      console.warn(`Skipping unreadable ${courseXmlPath}: ${error.message}`);
+    }
+    return false;
+  }
+}
+
+// Find all OLX course roots below a directory
+/**
+ * Find all OLX course roots below a directory
+ * @param {string} dir - Directory to search
+ * @param {number} [maxDepth] - Maximum folder depth to search
+ * @returns {string[]} - Course root directories, in directory order
+ * @description Skips macOS metadata (__MACOSX, ._ files) and hidden folders, and does not
+ * search inside a course root once found
+ * @example
+ * findCourseRoots('/temp/course1');
+ * Returns: ['/temp/course1/course']
+ */
+function findCourseRoots(dir, maxDepth = COURSE_ROOT_SEARCH_DEPTH) {
+  const courseXmlPath = path.join(dir, 'course.xml');
+  if (fs.existsSync(courseXmlPath) && isCourseRootXml(courseXmlPath)) {
+    return [dir];
+  }
+  if (maxDepth <= 0) {
+    return [];
+  }
+
+  const subdirs = fs.readdirSync(dir, { withFileTypes: true })
+    .filter(entry => entry.isDirectory() && !entry.name.startsWith('.') && entry.name !== '__MACOSX')
+    .map(entry => entry.name)
+    .sort();
+  return subdirs.flatMap(name => findCourseRoots(path.join(dir, name), maxDepth - 1));
+}
+
+// Resolve all course root directories
+/**
+ * Resolve all course root directories
+
+ * @param {string} extractedDir - Path to extracted directory
+ * @returns {string[]} - Paths to course root directories (at least one)
+ * @description Searches the extracted content for course.xml files carrying a url_name,
+ * whatever the wrapper folder depth
+ * @throws {Error} When no course root is found
+ * @example
+ * const courseRoots = resolveCourseRoots('/path/to/temp/course1/');
+ * Returns: ['/path/to/temp/course1/course/']
+ */
+function resolveCourseRoots(extractedDir) {
+  const courseRoots = findCourseRoots(extractedDir);
+  if (courseRoots.length === 0) {
+    throw new Error(`No OLX course root found under ${extractedDir} (expected a course.xml with a url_name attribute)`);
+  }
+  return courseRoots;
+}
+
+// Resolve course root directory
+/**
+ * Resolve course root directory
+
+ * @param {string} extractedDir - Path to extracted directory
+ * @returns {string} - Path to course root directory
+ * @description Resolves the single course root directory from extracted directory
+ * @throws {Error} When there is no course root, or more than one
+ * @example
+ * const courseRoot = resolveCourseRoot('/path/to/extracted/course/');
+ * Returns: '/path/to/extracted/course/'
+ */
+function resolveCourseRoot(extractedDir) {
+  const courseRoots = resolveCourseRoots(extractedDir);
+  if (courseRoots.length > 1) {
+    const found = courseRoots.map(root => path.relative(extractedDir, root) || '.').join(', ');
+    throw new Error(`Found ${courseRoots.length} course roots under ${extractedDir}: ${found}`);
+  }
+  return courseRoots[0];
+}
+
+// OLX tags that hold other nodes, and the leaf component tags converted inside them
+const CONTAINER_KINDS = ['chapter', 'sequential', 'vertical'];
+const COMPONENT_KINDS = ['html', 'problem', 'video', 'about'];
+
+// Key added by the XML parser to every child of a container, recording document order
+const ORDER_KEY = '#order';
+
+// Check whether an OLX element is a pointer (only a url_name attribute, no content)
+/**
+ * Check whether an OLX element is a pointer (only a url_name attribute, no content)
+ * @param {Object|string} node - Parsed element
+ * @returns {boolean} - True for <chapter url_name="x"/>, false for inline definitions
+ */
+function isPointerNode(node) {
+  if (!node || typeof node !== 'object') return false;
+  const keys = Object.keys(node).filter(key => key !== ORDER_KEY);
+  return keys.length === 1 && typeof node['@_url_name'] === 'string';
+}
+
+// Normalize a parsed inline element to an object (text-only elements parse as strings)
+function toInlineNode(node) {
+  return node !== null && typeof node === 'object' ? node : { '#text': String(node ?? '') };
+}
+
+// Collect the children of an OLX container as pointers or inline definitions
+/**
+ * Collect the children of an OLX container as pointers or inline definitions
+ * @param {Object} node - Parsed container element
+ * @param {string} kind - Child tag, e.g. 'sequential'
+ * @returns {Array<string|Object>} - url_name strings for pointers, element objects for inline children
+ * @example
+ * collectChildRefs({ sequential: [{ '@_url_name': 's1' }, { '@_display_name': 'Inline' }] }, 'sequential');
+ * Returns: ['s1', { '@_display_name': 'Inline' }]
+ */
+function collectChildRefs(node, kind) {
+  return toArray(node[kind] || node[kind.toUpperCase()] || [])
+    .map(child => isPointerNode(child) ? child['@_url_name'] : toInlineNode(child));
+}
+
+// Collect the children of the given kinds in document order
+/**
+ * Collect the children of the given kinds in document order
+ * @param {Object} node - Parsed container element
+ * @param {string[]} kinds - Child tags to collect
+ * @returns {Array<{ kind: string, ref: string|Object, index: number }>} - index counts siblings of the same kind
+ * @description The parser groups children by tag; the order key it records restores the original
+ * interleaving, e.g. a vertical followed by an html component inside a sequential.
+ */
+function collectOrderedChildren(node, kinds) {
+  const children = [];
+  for (const kind of kinds) {
+    toArray(node[kind] || node[kind.toUpperCase()] || []).forEach((child, index) => {
+      children.push({ kind, ref: isPointerNode(child) ? child['@_url_name'] : toInlineNode(child), order: child?.[ORDER_KEY] ?? Infinity, index });
+    });
+  }
+  return children
+    .sort((a, b) => a.order - b.order)
+    .map(({ kind, ref, index }) => ({ kind, ref, index }));
+}
+
+// Load a container element from its pointer file, or take an inline element as-is
+/**
+ * Load a container element from its pointer file, or take an inline element as-is
+ * @param {string} courseRoot - Path to course root directory
+ * @param {string} kind - Container tag: 'chapter', 'sequential' or 'vertical'
+ * @param {string|Object} ref - url_name of a pointer, or an inline element
+ * @param {number} index - Position among its siblings, used to name inline elements without url_name
+ * @returns {{ id: string, node: Object|null }} - node is null when the pointer file is missing
+ */
+function loadContainerNode(courseRoot, kind, ref, index) {
+  if (typeof ref !== 'string') {
+    return { id: ref['@_url_name'] || `inline-${kind}-${index + 1}`, node: ref };
+  }
+  const filePath = path.join(courseRoot, kind, `${ref}.xml`);
+  if (!fs.existsSync(filePath)) {
+    if (options.verbose) console.warn(`Missing ${kind} file: ${filePath}`);
+    return { id: ref, node: null };
+  }
+  const obj = readXmlAsObject(filePath);
+  return { id: ref, node: obj[kind] || obj[kind.toUpperCase()] || {} };
+}
+
+// Read an element's XML attributes without the parser prefix
+/**
+ * Read an element's XML attributes without the parser prefix
+ * @param {Object} node - Parsed element
+ * @returns {Object} - Attribute values by name
+ * @example
+ * readNodeAttributes({ '@_display_name': 'Answers', '@_visible_to_staff_only': 'true', p: 'x' });
+ * Returns: { display_name: 'Answers', visible_to_staff_only: 'true' }
+ */
+function readNodeAttributes(node) {
+  return Object.fromEntries(
+    Object.entries(node)
+      .filter(([key]) => key.startsWith('@_'))
+      .map(([key, value]) => [key.slice(2), value])
+  );
+}
+
+// Build a component reference from a pointer or an inline element
+function createComponentRef(kind, ref, index) {
+  if (typeof ref === 'string') {
+    return { kind, id: ref };
+  }
+  // Inline definition: handed straight to the component parser
+  const id = ref['@_url_name'] || ref['@_filename'] || `inline-${kind}-${index + 1}`;
+  return { kind, id, inline: ref };
+}
+
+// Parse course.xml file to get course information
+/**
+ * Parse course.xml file to get course information
+ * @param {string} courseRoot - Path to course root directory
+ * @returns {Object} - Course information
+ * @description Parses course.xml file to get course information; `node` is the course element
+ * whose children become the top level of the course tree
+ * @throws {Error} When course.xml file is not found
+ */
+function parseCourseXml(courseRoot) {
+  const courseXmlPath = path.join(courseRoot, 'course.xml');
+  if (!fs.existsSync(courseXmlPath)) {
+    throw new Error(`course.xml not found at ${courseXmlPath}`);
+  }
+  // 1. Basic root info
+  const rootObj = readXmlAsObject(courseXmlPath);
+  const rootNode = rootObj.course || rootObj.COURSE || {};
+  const urlName = rootNode['@_url_name'];
+  const org = rootNode['@_org'];
+  const courseCode = rootNode['@_course'];
+
+  // 2. Details
+  const detailedPath = urlName ? path.join(courseRoot, 'course', `${urlName}.xml`) : null;
+  const detailedExists = detailedPath && fs.existsSync(detailedPath);
+  const obj = detailedExists ? readXmlAsObject(detailedPath) : rootObj;
+  const node = obj.course || obj.COURSE || {};
+
+  const title = node['@_display_name'] || node.display_name || urlName || 'Untitled Course';
+  const courseId = node['@_course'] || courseCode || node['@_url_name'] || urlName || 'unknown';
+  const chapterRefs = collectChildRefs(node, 'chapter');
+  return { title, courseId, urlName, chapterRefs, node };
+}
+
+// Parse a container (chapter, sequential or vertical) and everything below it
+/**
+ * Parse a container (chapter, sequential or vertical) and everything below it
+ * @param {string} courseRoot - Path to course root directory
+ * @param {string} kind - Container tag
+ * @param {string|Object} ref - url_name of a pointer, or an inline element
+ * @param {number} [index] - Position among siblings of the same kind
+ * @param {Object} [context] - Course-wide inputs of the tree builder
+ * @param {Object|null} [context.drafts] - Draft index from loadDrafts; draft versions override published ones
+ * @param {Object} [context.policy] - policy.json contents from loadCoursePolicy
+ * @param {Object|null} [context.gradingPolicy] - grading_policy.json contents from loadGradingPolicy
+ * @returns {Object} - { id, kind, title, attributes, children }, children being containers or component
+ * references, attributes the element's XML attributes (visible_to_staff_only, start, due, ...) overridden
+ * by its policy.json settings; containers read from drafts/ also carry unpublished: true, and graded
+ * sequentials carry grading: { type, shortLabel, weight }
+ * @example
+ * parseContainer('/temp/course1', 'sequential', 'lesson1');
+ * Returns: { id: 'lesson1', kind: 'sequential', title: 'Lesson 1', children: [{ id: 'unit1', kind: 'vertical', ... }, { kind: 'html', id: 'note' }] }
+ */
+function parseContainer(courseRoot, kind, ref, index = 0, context = {}) {
+  const { drafts = null, policy = {}, gradingPolicy = null } = context;
+  const isDraft = Boolean(drafts) && typeof ref === 'string' && drafts.files.has(`${kind}/${ref}`);
+  const { id, node } = loadContainerNode(isDraft ? drafts.root : courseRoot, kind, ref, index);
+  if (!node) {
+    return { id, kind, title: `Missing ${kind} ${id}`, children: [] };
+  }
+  // Policy settings win over XML attributes, as in the LMS
+  const attributes = { ...readNodeAttributes(node), ...getPolicySettings(policy, kind, id) };
+  const title = attributes.display_name || node.display_name || id;
+  const container = {
+    id,
+    kind,
+    title,
+    attributes,
+    children: parseContainerChildren(courseRoot, node, context, id)
+  };
+  if (isDraft) {
+    container.unpublished = true;
+  }
+  const grading = kind === 'sequential' ? getAssignmentGrading(attributes, gradingPolicy) : null;
+  if (grading) {
+    container.grading = grading;
+  }
+  return container;
+}
+
+// Parse the children of a container in document order
+/**
+ * Parse the children of a container in document order
+ * @param {string} courseRoot - Path to course root directory
+ * @param {Object} node - Parsed container element
+ * @param {Object} [context] - Course-wide inputs of the tree builder ({ drafts, policy }, see parseContainer)
+ * @param {string} [parentId] - url_name of the container, matched against the parent_url of drafts
+ * @returns {Object[]} - Nested containers and component references, in document order
+ * @description Any container may hold containers and components at any depth: a sequential with
+ * bare components, a chapter with a bare vertical, or verticals nested in verticals. Draft-only
+ * children are inserted at their index_in_children_list.
+ */
+function parseContainerChildren(courseRoot, node, context = {}, parentId = null) {
+  const { drafts = null, policy = {} } = context;
+  const parseChild = (kind, ref, index) => {
+    if (CONTAINER_KINDS.includes(kind)) {
+      return parseContainer(courseRoot, kind, ref, index, context);
+    }
+    const component = createComponentRef(kind, ref, index);
+    if (drafts && !component.inline && drafts.files.has(`${kind}/${component.id}`)) {
+      component.unpublished = true;
+    }
+    const settings = getPolicySettings(policy, kind, component.id);
+    if (Object.keys(settings).length > 0) {
+      component.attributes = settings;
+    }
+    return component;
+  };
+  
+  const children = collectOrderedChildren(node, [...CONTAINER_KINDS, ...COMPONENT_KINDS])
+    .map(({ kind, ref, index }) => parseChild(kind, ref, index));
+  
+  // Drafts that are not in the published tree yet
+  const pendingDrafts = (drafts && parentId && drafts.byParent.get(parentId)) || [];
+  for (const draft of pendingDrafts) {
+    if (children.some(child => child.kind === draft.kind && child.id === draft.id)) {
+      continue; // The published pointer already resolved to the draft version
+    }
+    children.splice(Math.min(draft.index, children.length), 0, parseChild(draft.kind, draft.id, 0));
+  }
+  return children;
+}
+
+// ----------------------------------- Policies ------------------------------------
+
+// Load policies/<url_name>/policy.json
+/**
+ * Load policies/<url_name>/policy.json
+ * @param {string} courseRoot - Path to course root directory
+ * @param {string} urlName - url_name of the course run, e.g. 'S2_2025'
+ * @returns {Object} - Block settings keyed 'kind/url_name', or {} when there is no policy file
+ * @example
+ * loadCoursePolicy('/temp/course1', 'S2_2025');
+ * Returns: { 'course/S2_2025': { display_name: 'Basic Course', start: '2030-01-01T00:00:00Z' }, 'chapter/ch1': { ... } }
+ */
+function loadCoursePolicy(courseRoot, urlName) {
+  if (!urlName) return {};
+  const policyPath = path.join(courseRoot, 'policies', urlName, 'policy.json');
+  if (!fs.existsSync(policyPath)) return {};
+  try {
+    const policy = JSON.parse(fs.readFileSync(policyPath, 'utf8'));
+    return policy && typeof policy === 'object' && !Array.isArray(policy) ? policy : {};
+  } catch (error) {
+    console.warn(`Ignoring unreadable policy file ${policyPath}: ${error.message}`);
+    return {};
+  }
+}
+
+// Load policies/<url_name>/grading_policy.json
+/**
+ * Load policies/<url_name>/grading_policy.json
+ * @param {string} courseRoot - Path to course root directory
+ * @param {string} urlName - url_name of the course run, e.g. 'S2_2025'
+ * @returns {Object|null} - { graders, cutoffs }, or null when there is no grading policy
+ * @example
+ * loadGradingPolicy('/temp/course1', 'S2_2025');
+ * Returns: { graders: [{ type: 'Homework', shortLabel: 'HW', weight: 0.15, minCount: 12, dropCount: 2 }], cutoffs: { Pass: 0.5 } }
+ */
+function loadGradingPolicy(courseRoot, urlName) {
+  if (!urlName) return null;
+  const gradingPath = path.join(courseRoot, 'policies', urlName, 'grading_policy.json');
+  if (!fs.existsSync(gradingPath)) return null;
+  let raw;
+  try {
+    raw = JSON.parse(fs.readFileSync(gradingPath, 'utf8'));
+  } catch (error) {
+    console.warn(`Ignoring unreadable grading policy ${gradingPath}: ${error.message}`);
+    return null;
+  }
+  
+  const graders = toArray(raw && raw.GRADER)
+    .filter(grader => grader && grader.type)
+    .map(grader => ({
+      type: grader.type,
+      shortLabel: grader.short_label || null,
+      weight: Number(grader.weight) || 0,
+      minCount: Number(grader.min_count) || 0,
+      dropCount: Number(grader.drop_count) || 0
+    }));
+  const cutoffs = raw && raw.GRADE_CUTOFFS && typeof raw.GRADE_CUTOFFS === 'object' ? raw.GRADE_CUTOFFS : {};
+  return { graders, cutoffs };
+}
+
+// Describe how a subsection is graded, or return null when it is not graded
+/**
+ * Describe how a subsection is graded, or return null when it is not graded
+ * @param {Object} attributes - Merged XML and policy attributes of a sequential
+ * @param {Object|null} gradingPolicy - Result of loadGradingPolicy
+ * @returns {Object|null} - { type, shortLabel, weight }; weight is the assignment type's share of
+ * the final grade, or null when the grading policy does not list the type
+ * @example
+ * getAssignmentGrading({ graded: 'true', format: 'Homework' }, gradingPolicy);
+ * Returns: { type: 'Homework', shortLabel: 'HW', weight: 0.15 }
+ */
+function getAssignmentGrading(attributes, gradingPolicy) {
+  if (!isTrueAttribute(attributes.graded) || !attributes.format) {
+    return null;
+  }
+  const grader = gradingPolicy && gradingPolicy.graders.find(g => g.type === attributes.format);
+  return {
+    type: attributes.format,
+    shortLabel: grader ? grader.shortLabel : null,
+    weight: grader ? grader.weight : null
+  };
+}
+
+// Look up the policy settings of one block
+function getPolicySettings(policy, kind, id) {
+  const settings = policy && policy[`${kind}/${id}`];
+  return settings && typeof settings === 'object' ? settings : {};
+}
+
+// ----------------------------------- Drafts ------------------------------------
+
+// Studio exports unpublished content into this folder of the course root
+const DRAFTS_DIR = 'drafts';
+
+// Extract the url_name from a draft's parent_url
+/**
+ * Extract the url_name from a draft's parent_url
+ * @param {string} parentUrl - Usage key of the parent block
+ * @returns {string|null} - The parent's url_name
+ * @example
+ * parseParentUrl('block-v1:Org+AB101+S2_2025+type@sequential+block@3c9ffe30');
+ * Returns: '3c9ffe30'
+ */
+function parseParentUrl(parentUrl) {
+  if (!parentUrl) return null;
+  const blockMatch = String(parentUrl).match(/block@([^+/]+)$/);
+  if (blockMatch) return blockMatch[1];
+  // Old-style location: i4x://Org/AB101/sequential/3c9ffe30
+  return String(parentUrl).split('/').filter(Boolean).pop() || null;
+}
+
+// Index the drafts/ folder of a course root
+/**
+ * Index the drafts/ folder of a course root
+ * @param {string} courseRoot - Path to course root directory
+ * @returns {Object|null} - { root, files, byParent }, or null when the course has no drafts
+ * @description files holds 'kind/url_name' for every draft, so pointers anywhere in the tree
+ * resolve to the draft version. byParent lists drafts with a parent_url by parent url_name,
+ * ordered by index_in_children_list, so unpublished units can be inserted into their parent.
+ * @example
+ * loadDrafts('/temp/course1');
+ * Returns: { root: '/temp/course1/drafts', files: Set { 'vertical/e297', 'html/b0ed' }, byParent: Map { '3c9f' => [{ kind: 'vertical', id: 'e297', index: 0 }] } }
+ */
+function loadDrafts(courseRoot) {
+  const root = path.join(courseRoot, DRAFTS_DIR);
+  if (!fs.existsSync(root)) {
+    return null;
+  }
+  
+  const files = new Set();
+  const byParent = new Map();
+  for (const kind of [...CONTAINER_KINDS, ...COMPONENT_KINDS]) {
+    const kindDir = path.join(root, kind);
+    if (!fs.existsSync(kindDir)) continue;
+    
+    for (const fileName of fs.readdirSync(kindDir).filter(name => name.endsWith('.xml')).sort()) {
+      const id = path.basename(fileName, '.xml');
+      files.add(`${kind}/${id}`);
+      try {
+        const obj = readXmlAsObject(path.join(kindDir, fileName));
+        const node = obj[kind] || obj[kind.toUpperCase()] || {};
+        const parentId = parseParentUrl(node['@_parent_url']);
+        if (parentId) {
+          const index = parseInt(node['@_index_in_children_list'], 10);
+          const siblings = byParent.get(parentId) || [];
+          siblings.push({ kind, id, index: Number.isNaN(index) ? Infinity : index });
+          byParent.set(parentId, siblings);
+        }
+      } catch (error) {
+        if (options.verbose) console.warn(`Skipping unreadable draft ${kind}/${fileName}: ${error.message}`);
+      }
+    }
+  }
+  for (const siblings of byParent.values()) {
+    siblings.sort((a, b) => a.index - b.index);
+  }
+  
+  if (options.verbose) {
+    console.log(`Found ${files.size} draft file(s) in ${root}`);
+  }
+  return { root, files, byParent };
+}
+
+// Keep only unpublished content and the containers leading to it
+/**
+ * Keep only unpublished content and the containers leading to it
+ * @param {Object[]} nodes - Containers and component references
+ * @returns {Object[]} - Pruned copies; unpublished nodes are kept whole
+ */
+function pruneToDrafts(nodes) {
+  return nodes.flatMap(node => {
+    if (node.unpublished) return [node];
+    if (!Array.isArray(node.children)) return [];
+    const children = pruneToDrafts(node.children);
+    return children.length > 0 ? [{ ...node, children }] : [];
   });
 }
 
+// Parse chapters from course.xml
+/**
+ * Parse chapters from course.xml
+ * @param {string} courseRoot - Path to course root directory
+ * @param {Array<string|Object>} chapterRefs - Chapter url_names or inline chapter elements
+ * @returns {Object[]} - Array of chapter containers
+ */
+function parseChapters(courseRoot, chapterRefs) {
+  return chapterRefs.map((ref, index) => parseContainer(courseRoot, 'chapter', ref, index));
+}
+
+// Parse sequentials from course.xml
+/**
+ * Parse sequentials from course.xml
+ * @param {string} courseRoot - Path to course root directory
+ * @param {Array<string|Object>} sequentialRefs - Sequential url_names or inline sequential elements
+ * @returns {Object[]} - Array of sequential containers
+ */
+function parseSequentials(courseRoot, sequentialRefs) {
+  return sequentialRefs.map((ref, index) => parseContainer(courseRoot, 'sequential', ref, index));
+}
+
+// Parse verticals from course.xml
+/**
+ * Parse verticals from course.xml
+ * @param {string} courseRoot - Path to course root directory
+ * @param {Array<string|Object>} verticalRefs - Vertical url_names or inline vertical elements
+ * @returns {Object[]} - Array of vertical containers
+ */
+function parseVerticals(courseRoot, verticalRefs) {
+  return verticalRefs.map((ref, index) => parseContainer(courseRoot, 'vertical', ref, index));
+}
+
 // Collect component references from vertical node
 /**
  * Collect component references from vertical node
  * @param {Object} verticalNode - Vertical node object
- * @returns {Object[]} - Array of component references
+ * @returns {Object[]} - Component references in document order; inline components carry their element as `inline`
+ * @example
+ * collectComponentRefs({ html: { '@_url_name': 'h1' }, problem: { '@_display_name': 'Q', stringresponse: {} } });
+ * Returns: [{ kind: 'html', id: 'h1' }, { kind: 'problem', id: 'inline-problem-1', inline: { ... } }]
  */
 function collectComponentRefs(verticalNode) {
-  const components = [];
-  const knownKinds = ['html', 'problem', 'video', 'about'];
-  
-  for (const kind of knownKinds) {
-    const items = toArray(verticalNode[kind] || verticalNode[kind.toUpperCase()] || []);
-    for (const it of items) {
-      const id = it['@_url_name'] || it['@_url'] || it['@_filename'] || undefined;
-      components.push({ kind, id: id || 'unknown' });
-    }
-  }
-  
-  return components;
+  return collectOrderedChildren(verticalNode, COMPONENT_KINDS)
+    .map(({ kind, ref, index }) => createComponentRef(kind, ref, index));
 }
 
 // ================================================================================================
@@ -439,7 +1526,7 @@ function parseComponent(courseRoot, component) {
   
   switch (kind.toLowerCase()) {
     case 'html':
-      return parseHtmlComponent(courseRoot, id);
+      return parseHtmlComponent(courseRoot, id, component.inline);
       
     case 'problem':
       return parseProblemComponent(courseRoot, component);
@@ -469,39 +1556,81 @@ function parseComponent(courseRoot, component) {
 /**
  * Parse HTML component content
  * @param {string} courseRoot - Course root directory path
- * @param {string} componentId - Component ID (filename without extension)
- * @returns {Object} - Parsed HTML component data
- * @description Reads HTML component XML and HTML files, extracts content
- * @throws {Error} When component files are not found
+ * @param {string} componentId - Component ID (url_name of the block)
+ * @param {Object} [inlineNode] - Inline <html> element from a vertical, used instead of html/<id>.xml
+ * @returns {Object} - Parsed HTML component data, with editor 'raw' or 'visual'
+ * @description Resolves the HTML body the way OLX allows: the file named by the filename
+ * attribute, HTML (often CDATA) embedded in the block element, or html/<id>.html
+ * @throws {Error} When none of these forms yields content
  * @example
  * const htmlData = parseHtmlComponent('/temp/course1', 'content1');
- * Returns: { type: 'html', content: '<p>Hello World</p>', filename: 'content1' }
+ * Returns: { type: 'html', content: '<p>Hello World</p>', filename: 'content1', displayName: 'content1', editor: 'visual' }
  */
-function parseHtmlComponent(courseRoot, componentId) {
-  const htmlXmlPath = path.join(courseRoot, 'html', `${componentId}.xml`);
-  const htmlContentPath = path.join(courseRoot, 'html', `${componentId}.html`);
-  
-  if (!fs.existsSync(htmlXmlPath)) {
-    throw new Error(`HTML component XML not found: ${htmlXmlPath}`);
-  }
-  
-  if (!fs.existsSync(htmlContentPath)) {
-    throw new Error(`HTML component content not found: ${htmlContentPath}`);
+function parseHtmlComponent(courseRoot, componentId, inlineNode = null) {
+  let xmlNode = inlineNode;
+  if (!xmlNode) {
+    const htmlXmlPath = path.join(courseRoot, 'html', `${componentId}.xml`);
+    if (fs.existsSync(htmlXmlPath)) {
+      const xmlObj = readXmlAsObject(htmlXmlPath);
+      xmlNode = toInlineNode(xmlObj.html ?? xmlObj.HTML ?? {});
+    } else {
+      xmlNode = {};
+    }
   }
   
-  const htmlContent = fs.readFileSync(htmlContentPath, 'utf8');
-  
-  const xmlObj = readXmlAsObject(htmlXmlPath);
-  const xmlNode = xmlObj.html || xmlObj.HTML || {};
-  
   return {
     type: 'html',
-    content: htmlContent,
+    content: resolveHtmlContent(courseRoot, componentId, xmlNode),
     filename: componentId,
-    displayName: xmlNode['@_display_name'] || componentId
+    displayName: xmlNode['@_display_name'] || componentId,
+    editor: String(xmlNode['@_editor'] || '').toLowerCase() === 'raw' ? 'raw' : 'visual'
   };
 }
 
+// Find the HTML body of an html block
+/**
+ * Find the HTML body of an html block
+ * @param {string} courseRoot - Course root directory path
+ * @param {string} componentId - Component ID (url_name of the block)
+ * @param {Object} xmlNode - The block's <html> element
+ * @returns {string} - HTML content
+ * @throws {Error} When the filename points outside html/ or no content is found
+ */
+function resolveHtmlContent(courseRoot, componentId, xmlNode) {
+  const htmlDir = path.join(courseRoot, 'html');
+  
+  // 1. filename attribute: html/<filename>.html (the extension is optional)
+  const filename = xmlNode['@_filename'];
+  if (filename) {
+    const fileWithExt = /\.html?$/i.test(filename) ? filename : `${filename}.html`;
+    const htmlContentPath = path.resolve(htmlDir, fileWithExt);
+    if (!isPathInside(htmlDir, htmlContentPath)) {
+      throw new Error(`HTML component filename points outside html/: ${filename}`);
+    }
+    if (fs.existsSync(htmlContentPath)) {
+      return fs.readFileSync(htmlContentPath, 'utf8');
+    }
+  }
+  
+  // 2. HTML embedded in the block element
+  const body = unwrapCdata(xmlNode['#text'] || '');
+  if (body) {
+    return body;
+  }
+  
+  // 3. html/<url_name>.html
+  const htmlContentPath = path.join(htmlDir, `${componentId}.html`);
+  if (fs.existsSync(htmlContentPath)) {
+    return fs.readFileSync(htmlContentPath, 'utf8');
+  }
+  
+  // An inline block with an empty body is simply empty
+  if (!filename && xmlNode['#text'] !== undefined) {
+    return '';
+  }
+  throw new Error(`HTML component content not found: ${filename ? path.join(htmlDir, filename) : htmlContentPath}`);
+}
+
 
 // ----------------------------------- Problem ------------------------------------
 
@@ -511,36 +1640,45 @@ function parseHtmlComponent(courseRoot, componentId) {
  * @param {string} courseRoot - 课程根目录
  * @param {Object} component - 组件信息
  * @returns {Object} - Parsed problem component data
- * @description Reads problem XML file and returns parsed data
+ * @description Reads problem XML file. content is the problem as an object, used to detect its
+ * type; body holds the same elements in document order (createProblemParser(true)) for rendering
  * @throws {Error} When problem file is not found
  * @example
  * const problemData = parseProblemComponent('/temp/course1', 'problem1');
- * Returns: { type: 'problem', content: '<p>Hello World</p>', filename: 'problem1' }
+ * Returns: { type: 'problem', content: { multiplechoiceresponse: {...} }, body: [...], parts: [...], filename: 'problem1' }
  */
 function parseProblemComponent(courseRoot, component) {
   const { id, displayName } = component;
   const problemPath = path.join(courseRoot, 'problem', `${id}.xml`);
   
-  if (!fs.existsSync(problemPath)) {
+  if (!component.inline && !fs.existsSync(problemPath)) {
     throw new Error(`Problem file not found: ${problemPath}`);
   }
   
-  const xmlContent = fs.readFileSync(problemPath, 'utf8');
-  const parsed = readXmlAsObject(problemPath);
+  // Inline problems were already parsed with their vertical
+  const parsed = component.inline ? { problem: component.inline } : readXmlAsObject(problemPath);
   
-  if (!parsed.problem) {
+  if (parsed.problem === undefined) {
     throw new Error(`Invalid problem XML structure: ${id}`);
   }
   
-  const problem = parsed.problem;
+  // The body is kept as raw markup (a stop node) and parsed here in both forms
+  const problem = toInlineNode(parsed.problem);
+  const markup = String(problem['#text'] ?? '');
+  const attributes = Object.fromEntries(Object.entries(problem).filter(([key]) => key.startsWith('@_')));
+  const body = createProblemParser().parse(`<problem>${markup}</problem>`).problem;
+  const content = { ...attributes, ...(body !== null && typeof body === 'object' ? body : {}) };
   const problemDisplayName = problem['@_display_name'] || displayName || id;
+  const orderedBody = createProblemParser(true).parse(markup);
   
   return {
     type: 'problem',
-    content: problem,
+    content,
+    body: orderedBody,
+    parts: getProblemParts(orderedBody),
     filename: id,
     displayName: problemDisplayName,
-    problemType: determineProblemType(problem)
+    problemType: determineProblemType(content)
   };
 }
 
@@ -576,6 +1714,25 @@ function determineProblemType(problem) {
   }
 }
 
+// Split an order-preserving problem body into its response elements
+/**
+ * Split an order-preserving problem body into its response elements
+ * @param {Object[]} body - Body from createProblemParser(true)
+ * @returns {Object[]} - One { problemType, response } per response element, in document order
+ * @example
+ * getProblemParts(body);
+ * Returns: [{ problemType: 'selection', response: { optionresponse: [...] } }, { problemType: 'number_input', ... }]
+ */
+function getProblemParts(body) {
+  return toArray(body)
+    .filter(node => RESPONSE_TAGS.includes(getOrderedTag(node)))
+    .map(response => {
+      const tag = getOrderedTag(response);
+      const inputs = Object.fromEntries(findOrderedChildren(response, INPUT_TAGS).map(input => [getOrderedTag(input), {}]));
+      return { problemType: determineProblemType({ [tag]: inputs }), response };
+    });
+}
+
 // ----------------------------------- Video ------------------------------------
 
 // Parse video component
@@ -593,12 +1750,12 @@ function parseVideoComponent(courseRoot, component) {
   const { id, displayName } = component;
   const videoPath = path.join(courseRoot, 'video', `${id}.xml`);
   
-  if (!fs.existsSync(videoPath)) {
+  if (!component.inline && !fs.existsSync(videoPath)) {
     throw new Error(`Video file not found: ${videoPath}`);
   }
   
-  const xmlContent = fs.readFileSync(videoPath, 'utf8');
-  const parsed = readXmlAsObject(videoPath);
+  // Inline videos were already parsed with their vertical
+  const parsed = component.inline ? { video: component.inline } : readXmlAsObject(videoPath);
   
   if (!parsed.video) {
     throw new Error(`Invalid video XML structure: ${id}`);
@@ -633,7 +1790,7 @@ function determineVideoType(video) {
 }
 
 
-  // ----------------------------------- About ------------------------------------
+// ----------------------------------- About ------------------------------------
 
 // Parse about component
 /**
@@ -656,37 +1813,426 @@ function parseAboutComponent(courseRoot, component) {
   }
   
   const aboutFiles = fs.readdirSync(aboutDir);
-  const htmlFiles = aboutFiles.filter(file => file.endsWith('.html'));
+  const htmlFiles = aboutFiles.filter(file => file.endsWith('.html')).sort();
   
   if (htmlFiles.length === 0) {
     throw new Error(`No HTML files found in about directory: ${aboutDir}`);
   }
   
-  const aboutHtmlPath = path.join(aboutDir, htmlFiles[0]);
+  // The page named by the component, then the course overview, then the first page by name
+  const filename = [`${id}.html`, ABOUT_OVERVIEW_FILE].find(file => htmlFiles.includes(file)) || htmlFiles[0];
+  const aboutHtmlPath = path.join(aboutDir, filename);
   const htmlContent = fs.readFileSync(aboutHtmlPath, 'utf8');
   
   return {
     type: 'about',
     content: htmlContent,
-    filename: htmlFiles[0],
+    filename,
     displayName: displayName || 'About This Course',
     aboutType: 'html'
   };
 }
 
+// ----------------------------------- Landing ------------------------------------
 
-// ================================================================================================
-// =================================== Component Rendering Module =================================
-// ================================================================================================
+const ABOUT_OVERVIEW_FILE = 'overview.html';
 
-// ----------------------------------- Component Rendering Main ------------------------------------
+// Landing section part fed by each about/ page; other pages are kept as extra sections
+const ABOUT_PAGE_PARTS = {
+  'subtitle.html': 'subtitle',
+  'short_description.html': 'shortDescription',
+  'effort.html': 'effort',
+  'duration.html': 'duration',
+  'video.html': 'video',
+  'description.html': 'description',
+  'overview.html': 'overview',
+  'prerequisites.html': 'prerequisites',
+  'about_sidebar.html': 'sidebar'
+};
 
-// Render component to LiaScript Markdown
+// Pages already shown elsewhere in course.md
+const IGNORED_ABOUT_PAGES = ['title.html'];
+
+// Landing section part fed by each <section class="..."> of overview.html
+const OVERVIEW_SECTION_PARTS = {
+  about: 'description',
+  prerequisites: 'prerequisites',
+  'course-staff': 'staff',
+  faq: 'faq'
+};
+
+// Parse an about or info page into order-preserving nodes
 /**
- * Render component to LiaScript Markdown
- * @param {Object} componentIR - Component intermediate representation
- * @returns {string} LiaScript Markdown content
- * @description Converts component data to LiaScript Markdown format
+ * Parse an about or info page into order-preserving nodes
+ * @param {string} html - HTML content
+ * @returns {Object[]} - Nodes as from createProblemParser(true)
+ * @description Void elements written the HTML way (<img ...>, <br>) are closed first, as the XML
+ * parser would otherwise nest the content that follows inside them
+ */
+function parseHtmlNodes(html) {
+  const voidElement = new RegExp(`<(${VOID_ELEMENTS.join('|')})\\b([^>]*?)\\/?>`, 'gi');
+  return createProblemParser(true).parse(String(html || '').replace(voidElement, '<$1$2/>'));
+}
+
+// Top-level elements of one tag, keeping nested ones inside their parent
+/**
+ * Top-level elements of one tag, keeping nested ones inside their parent
+ * @param {Object[]} nodes - Order-preserving nodes
+ * @param {string} tag - Element name, e.g. 'section'
+ * @returns {Object[]} - Matching elements in document order
+ * @example
+ * findTopLevelElements(parseHtmlNodes('<div><section class="a"><section>x</section></section></div>'), 'section');
+ * Returns: [{ section: [{ section: [...] }], ':@': { '@_class': 'a' } }]
+ */
+function findTopLevelElements(nodes, tag) {
+  return toArray(nodes).flatMap(node => {
+    const nodeTag = getOrderedTag(node);
+    if (!nodeTag) {
+      return [];
+    }
+    return nodeTag.toLowerCase() === tag ? [node] : findTopLevelElements(node[nodeTag], tag);
+  });
+}
+
+// Drop the elements matching a predicate, at any depth
+function removeElements(nodes, predicate) {
+  return toArray(nodes).flatMap(node => {
+    const tag = getOrderedTag(node);
+    if (!tag) {
+      return [node];
+    }
+    return predicate(node) ? [] : [{ ...node, [tag]: removeElements(node[tag], predicate) }];
+  });
+}
+
+// Class names of an order-preserving element
+function getClassNames(node) {
+  return (getOrderedAttributes(node).class || '').split(/\s+/).filter(Boolean);
+}
+
+// Take the first heading off order-preserving nodes
+/**
+ * Take the first heading off order-preserving nodes
+ * @param {Object[]} nodes - Order-preserving nodes
+ * @returns {{ heading: string|null, body: string }} - Heading as one line of Markdown and the remaining HTML
+ */
+function takeHeading(nodes) {
+  let heading;
+  const body = removeElements(nodes, node => {
+    if (heading === undefined && /^h[1-6]$/i.test(getOrderedTag(node))) {
+      heading = renderInlineNodes(node[getOrderedTag(node)]);
+      return true;
+    }
+    return false;
+  });
+  return { heading: heading || null, body: serializeOrderedXml(body).trim() };
+}
+
+// Parse the staff bios of an overview course-staff section
+/**
+ * Parse the staff bios of an overview course-staff section
+ * @param {Object[]} nodes - Children of the section
+ * @returns {Array<{name: string|null, image: string|null, imageAlt: string, bio: string}>} - Staff in page order
+ */
+function parseStaffBios(nodes) {
+  return findTopLevelElements(nodes, 'article').map(article => {
+    const image = findTopLevelElements(article.article, 'img')[0];
+    const { src, alt } = image ? getOrderedAttributes(image) : {};
+    const { heading, body } = takeHeading(removeElements(article.article, node =>
+      getOrderedTag(node).toLowerCase() === 'img' || getClassNames(node).includes('teacher-image')));
+    return {
+      name: heading,
+      image: src || null,
+      imageAlt: alt !== undefined ? alt : (heading || ''),
+      bio: body
+    };
+  });
+}
+
+// Parse the questions of an overview faq section
+/**
+ * Parse the questions of an overview faq section
+ * @param {Object[]} nodes - Children of the section
+ * @returns {{ heading: string|null, items: Array<{question: string|null, answer: string}> }} - FAQ heading and items
+ */
+function parseFaq(nodes) {
+  // Studio wraps the questions in a nested <section class="responses">
+  const responses = findTopLevelElements(nodes, 'section').find(section => getClassNames(section).includes('responses'));
+  const source = responses ? responses.section : nodes;
+  const { heading } = takeHeading(removeElements(source, node => getOrderedTag(node).toLowerCase() === 'article'));
+  const items = findTopLevelElements(source, 'article').map(article => {
+    const item = takeHeading(article.article);
+    return { question: item.heading, answer: item.body };
+  });
+  return { heading, items };
+}
+
+// Split overview.html into landing section parts
+/**
+ * Split overview.html into landing section parts
+ * @param {string} html - overview.html content
+ * @param {Object} landing - Landing data to fill in
+ * @description Known sections go to their part; unknown sections become extra sections.
+ * An overview without sections is used as the course description.
+ */
+function parseAboutOverview(html, landing) {
+  const sections = findTopLevelElements(parseHtmlNodes(html), 'section');
+  if (sections.length === 0) {
+    if (html.trim()) {
+      landing.description = { heading: null, content: html.trim() };
+    }
+    return;
+  }
+  
+  for (const section of sections) {
+    const part = getClassNames(section).map(name => OVERVIEW_SECTION_PARTS[name]).find(Boolean);
+    if (part === 'staff') {
+      const { heading } = takeHeading(removeElements(section.section, node => getOrderedTag(node).toLowerCase() === 'article'));
+      landing.staff = { heading, members: parseStaffBios(section.section) };
+    } else if (part === 'faq') {
+      landing.faq = parseFaq(section.section);
+    } else {
+      const { heading, body } = takeHeading(section.section);
+      const entry = { heading, content: body };
+      if (part) {
+        landing[part] = entry;
+      } else {
+        landing.extra.push(entry);
+      }
+    }
+  }
+}
+
+// Parse the about/ pages into the course landing section
+/**
+ * Parse the about/ pages into the course landing section
+ * @param {string} courseRoot - Course root directory path
+ * @returns {Object|null} - Landing data, or null when the course has no about pages
+ * @description Each page is mapped to its own part by file name (see ABOUT_PAGE_PARTS).
+ * A dedicated page wins over the matching section of overview.html.
+ * @example
+ * const landing = parseAboutPages('/temp/course1');
+ * Returns: { shortDescription: '...', effort: '4:00', description: { heading, content }, staff: { heading, members }, ... }
+ */
+function parseAboutPages(courseRoot) {
+  const aboutDir = path.join(courseRoot, 'about');
+  if (!fs.existsSync(aboutDir)) {
+    return null;
+  }
+  
+  const htmlFiles = fs.readdirSync(aboutDir).filter(file => file.endsWith('.html')).sort();
+  const landing = { extra: [] };
+  const pages = {};
+  
+  for (const file of htmlFiles) {
+    if (IGNORED_ABOUT_PAGES.includes(file)) {
+      continue;
+    }
+    const content = fs.readFileSync(path.join(aboutDir, file), 'utf8').trim();
+    if (!content) {
+      continue;
+    }
+    if (ABOUT_PAGE_PARTS[file]) {
+      pages[ABOUT_PAGE_PARTS[file]] = content;
+    } else {
+      const { heading, body } = takeHeading(parseHtmlNodes(content));
+      landing.extra.push({ heading: heading || formatAboutPageName(file), content: body });
+    }
+  }
+  
+  if (pages.overview) {
+    parseAboutOverview(pages.overview, landing);
+  }
+  
+  for (const part of ['subtitle', 'shortDescription', 'effort', 'duration', 'video', 'sidebar']) {
+    if (pages[part]) {
+      landing[part] = pages[part];
+    }
+  }
+  for (const part of ['description', 'prerequisites']) {
+    if (pages[part]) {
+      const { heading, body } = takeHeading(parseHtmlNodes(pages[part]));
+      landing[part] = { heading: heading || (landing[part] && landing[part].heading) || null, content: body };
+    }
+  }
+  
+  const hasContent = Object.keys(landing).some(key => key !== 'extra') || landing.extra.length > 0;
+  return hasContent ? landing : null;
+}
+
+// Turn an about page file name into a heading, e.g. 'end_date.html' -> 'End Date'
+function formatAboutPageName(file) {
+  return file
+    .replace(/\.html$/, '')
+    .split(/[_-]+/)
+    .filter(Boolean)
+    .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+    .join(' ');
+}
+
+// ----------------------------------- Course Info ------------------------------------
+
+const INFO_DIR = 'info';
+
+// Parse course updates into dated entries
+/**
+ * Parse course updates into dated entries
+ * @param {string} html - info/updates.html content
+ * @returns {Array<{date: string|null, content: string}>} - Updates in page order (newest first in Studio exports)
+ * @description Studio writes an <ol> with one <li> per update, its date in a heading;
+ * older exports use one <article> per update.
+ * @example
+ * parseCourseUpdates('<ol><li><h2>May 1, 2025</h2><p>Welcome!</p></li></ol>');
+ * Returns: [{ date: 'May 1, 2025', content: '<p>Welcome!</p>' }]
+ */
+function parseCourseUpdates(html) {
+  const nodes = parseHtmlNodes(html);
+  const list = findTopLevelElements(nodes, 'ol')[0];
+  const entries = list ? findTopLevelElements(list.ol, 'li') : findTopLevelElements(nodes, 'article');
+  
+  return entries
+    .map(entry => {
+      const { heading, body } = takeHeading(entry[getOrderedTag(entry)]);
+      return { date: heading, content: body };
+    })
+    .filter(entry => entry.date || entry.content);
+}
+
+// Read the course updates and handouts from info/
+/**
+ * Read the course updates and handouts from info/
+ * @param {string} courseRoot - Course root directory path
+ * @returns {{ updates: Object[], handouts: string|null }|null} - Course info, or null when there is none
+ * @description updates.items.json (newer exports) is preferred over updates.html; deleted updates are skipped.
+ * An empty handouts list (<ol></ol>) counts as no handouts.
+ */
+function parseCourseInfo(courseRoot) {
+  const infoDir = path.join(courseRoot, INFO_DIR);
+  if (!fs.existsSync(infoDir)) {
+    return null;
+  }
+  
+  let updates = [];
+  const itemsPath = path.join(infoDir, 'updates.items.json');
+  const updatesPath = path.join(infoDir, 'updates.html');
+  if (fs.existsSync(itemsPath)) {
+    try {
+      updates = toArray(JSON.parse(fs.readFileSync(itemsPath, 'utf8')))
+        .filter(item => item && item.status !== 'deleted')
+        .map(item => ({ date: item.date || null, content: String(item.content || '').trim() }));
+    } catch (error) {
+      console.warn(`Ignoring unreadable course updates file ${itemsPath}: ${error.message}`);
+    }
+  } else if (fs.existsSync(updatesPath)) {
+    updates = parseCourseUpdates(fs.readFileSync(updatesPath, 'utf8'));
+  }
+  
+  const handoutsPath = path.join(infoDir, 'handouts.html');
+  let handouts = fs.existsSync(handoutsPath) ? fs.readFileSync(handoutsPath, 'utf8').trim() : '';
+  if (!htmlToMarkdown(handouts)) {
+    handouts = null;
+  }
+  
+  return updates.length > 0 || handouts ? { updates, handouts } : null;
+}
+
+// ----------------------------------- Static Tabs and Textbooks ------------------------------------
+
+const TABS_DIR = 'tabs';
+
+// Map a course asset URL to its copy in media/
+/**
+ * Map a course asset URL to its copy in media/
+ * @param {string} url - Asset URL from the course, e.g. '/static/book/ch1.pdf'
+ * @returns {string} - Relative media path, or the URL unchanged when it is not a course asset
+ * @description Uses the same file naming as rewriteMediaPaths. Studio asset keys
+ * (asset-v1:...+block@name, /c4x/.../asset/name) point at static/<name>.
+ * @example
+ * getMediaUrl('/static/book/ch1.pdf');
+ * Returns: './media/book_ch1.pdf'
+ */
+function getMediaUrl(url) {
+  const text = String(url || '').trim();
+  const staticMatch = text.match(/^\/static\/(.+)$/);
+  const assetMatch = text.match(/^\/?asset-v1:[^/]*\+type@asset\+block@([^/?#]+)/) || text.match(/^\/c4x\/[^/]+\/[^/]+\/asset\/([^/?#]+)/);
+  const name = staticMatch ? staticMatch[1] : assetMatch && assetMatch[1];
+  return name ? `./media/${sanitizeFileName(name)}` : text;
+}
+
+// Read the static tab pages listed in the course policy tabs
+/**
+ * Read the static tab pages listed in the course policy tabs
+ * @param {string} courseRoot - Course root directory path
+ * @param {Object[]} tabs - policy.json course tabs
+ * @returns {Array<{kind: string, id: string, title: string, attributes: Object, content: string}>} - Static tabs in tab order
+ * @description Pages are read from tabs/<url_slug>.html. Staff-only and hidden tabs are kept with
+ * visible_to_staff_only / hide_from_toc attributes, so filterCourseTree treats them like containers.
+ */
+function parseStaticTabs(courseRoot, tabs) {
+  const tabsDir = path.join(courseRoot, TABS_DIR);
+  
+  return toArray(tabs)
+    .filter(tab => tab && tab.type === 'static_tab' && tab.url_slug)
+    .flatMap(tab => {
+      const pagePath = path.join(tabsDir, `${tab.url_slug}.html`);
+      if (!isPathInside(tabsDir, pagePath) || !fs.existsSync(pagePath)) {
+        console.warn(`Static tab page not found: ${TABS_DIR}/${tab.url_slug}.html`);
+        return [];
+      }
+      return [{
+        kind: 'static_tab',
+        id: tab.url_slug,
+        title: tab.name || formatAboutPageName(`${tab.url_slug}.html`),
+        attributes: {
+          visible_to_staff_only: Boolean(tab.course_staff_only),
+          hide_from_toc: Boolean(tab.is_hidden)
+        },
+        content: fs.readFileSync(pagePath, 'utf8').trim()
+      }];
+    });
+}
+
+// Collect the course textbooks from the policy settings
+/**
+ * Collect the course textbooks from the policy settings
+ * @param {Object} attributes - Course attributes, including its policy.json settings
+ * @returns {Array<{title: string, chapters: Array<{title: string, url: string}>}>} - Textbooks with their chapter links
+ * @description Reads pdf_textbooks ({ tab_title, chapters: [{ title, url }] } or a single url) and
+ * legacy textbooks ([title, book_url] pairs). Course asset URLs are mapped to media/.
+ */
+function parseTextbooks(attributes) {
+  const entries = [...toArray(attributes.pdf_textbooks), ...toArray(attributes.textbooks)];
+  
+  return entries.flatMap((entry, index) => {
+    if (Array.isArray(entry)) {
+      const [title, url] = entry;
+      return url ? [{ title: title || `Textbook ${index + 1}`, chapters: [{ title: title || 'Read online', url: getMediaUrl(url) }] }] : [];
+    }
+    if (!entry || typeof entry !== 'object') {
+      return [];
+    }
+    const title = entry.tab_title || entry.title || `Textbook ${index + 1}`;
+    const chapters = entry.chapters
+      ? toArray(entry.chapters).filter(chapter => chapter && chapter.url)
+        .map((chapter, chapterIndex) => ({ title: chapter.title || `Chapter ${chapterIndex + 1}`, url: getMediaUrl(chapter.url) }))
+      : entry.url ? [{ title, url: getMediaUrl(entry.url) }] : [];
+    return chapters.length > 0 ? [{ title, chapters }] : [];
+  });
+}
+
+
+// ================================================================================================
+// =================================== Component Rendering Module =================================
+// ================================================================================================
+
+// ----------------------------------- Component Rendering Main ------------------------------------
+
+// Render component to LiaScript Markdown
+/**
+ * Render component to LiaScript Markdown
+ * @param {Object} componentIR - Component intermediate representation
+ * @returns {string} LiaScript Markdown content
+ * @description Converts component data to LiaScript Markdown format
  * @throws {Error} When component data is invalid
  * @example
  * const markdown = renderComponent(componentData);
@@ -724,6 +2270,32 @@ function renderComponent(componentIR) {
 
 // ----------------------------------- HTML ------------------------------------
 
+// Convert HTML to Markdown, with /static/ media pointing at media/
+/**
+ * Convert HTML to Markdown, with /static/ media pointing at media/
+ * @param {string} html - HTML content
+ * @param {Object} [translators] - Extra node-html-markdown translators by tag name
+ * @returns {string} - Trimmed Markdown, '' when there is no content
+ * @description The conversion used for html blocks, problem text and the other course pages
+ */
+function htmlToMarkdown(html, translators) {
+  const markdown = NodeHtmlMarkdown.NodeHtmlMarkdown.translate(rewriteMediaPaths(html || ''), {
+    bulletListMarker: '-',
+    codeFence: '```',
+    emDelimiter: '*',
+    fence: '```',
+    headingStyle: 'atx',
+    hr: '---',
+    strongDelimiter: '**',
+    textReplace: [
+      [/\s+/g, ' '],
+      [/\n\s*\n\s*\n/g, '\n\n']
+    ]
+  }, translators);
+  
+  return (markdown || '').trim();
+}
+
 // Render HTML content to LiaScript Markdown
 /**
  * Render HTML content to LiaScript Markdown
@@ -741,27 +2313,15 @@ function renderHtmlContent(htmlIR) {
   
   const htmlContent = htmlIR.content;
   
-  const processedContent = rewriteMediaPaths(htmlContent);
-  
-  const markdown = NodeHtmlMarkdown.NodeHtmlMarkdown.translate(processedContent, {
-    bulletListMarker: '-',
-    codeFence: '```',
-    emDelimiter: '*',
-    fence: '```',
-    headingStyle: 'atx',
-    hr: '---',
-    strongDelimiter: '**',
-    textReplace: [
-      [/\s+/g, ' '],
-      [/\n\s*\n\s*\n/g, '\n\n']
-    ]
-  });
-  
-  if (!markdown || markdown.trim() === '') {
-    return '*No content available*';
+  // Raw-editor blocks were written as exact HTML; LiaScript renders HTML as-is
+  if (htmlIR.editor === 'raw') {
+    const rawHtml = rewriteMediaPaths(htmlContent).trim();
+    // Trailing blank line ends the HTML block before the next component's Markdown
+    return rawHtml ? `${rawHtml}\n` : '*No content available*';
   }
   
-  return markdown.trim();
+  const markdown = htmlToMarkdown(htmlContent);
+  return markdown || '*No content available*';
 }
 
 
@@ -784,6 +2344,12 @@ function renderProblemComponent(problemIR) {
   
   const { content, displayName, problemType } = problemIR;
   
+  // Parsed problems keep their body in document order; hand-built IRs only have content
+  const parts = problemIR.parts || getProblemParts(problemIR.body);
+  if (problemIR.body && parts.some(part => ORDERED_PROBLEM_TYPES.includes(part.problemType))) {
+    return renderProblemBody(problemIR);
+  }
+  
   switch (problemType) {
     case 'multiple_choice':
       return renderMultipleChoiceProblem(content, displayName);
@@ -795,11 +2361,277 @@ function renderProblemComponent(problemIR) {
       return renderTextInputProblem(content, displayName);
     case 'number_input':
       return renderNumberInputProblem(content, displayName);
+    case 'formula':
+      return renderFormulaProblem(content, displayName);
     default:
       return renderUnsupportedProblem(content, displayName, problemType);
   }
 }
 
+// Problem types rendered from the order-preserving body
+const ORDERED_PROBLEM_TYPES = ['multiple_choice', 'choice', 'selection', 'text_input', 'number_input', 'formula'];
+
+// Response elements, in the order determineProblemType checks them
+const RESPONSE_TAGS = [
+  'multiplechoiceresponse', 'choiceresponse', 'optionresponse', 'stringresponse',
+  'numericalresponse', 'formularesponse', 'coderesponse'
+];
+
+// Elements of a response that the learner answers in; the quiz takes their place
+const INPUT_TAGS = ['choicegroup', 'checkboxgroup', 'optioninput', 'textline', 'formulaequationinput', 'textbox', 'codeinput'];
+
+// Elements of a response that are shown as quiz hints
+const RESPONSE_HINT_TAGS = ['description', 'hint', 'demotedhint'];
+
+// Answer data and grader code that never appear as content
+const HIDDEN_PROBLEM_TAGS = ['additional_answer', 'responseparam', 'stringequalhint', 'correcthint', 'script', 'answer'];
+
+// Lines of asterisks around a LiaScript quiz solution, shown once the quiz is answered
+const QUIZ_SOLUTION_FENCE = '*'.repeat(40);
+
+// The learner's answer in a quiz script. LiaScript replaces @'input with the answer escaped for a
+// string or template literal (backslashes, quotes, backticks, line breaks, tabs and ${), where
+// @input would paste it in as source
+const QUIZ_INPUT = "`@'input`";
+
+// Element that stands for an inline selection in problem text until htmlToMarkdown renders it
+const INLINE_QUIZ_TAG = 'lia-quiz';
+
+// Convert order-preserving nodes to one line of Markdown (choice texts, hints)
+function renderInlineNodes(nodes) {
+  return htmlToMarkdown(serializeOrderedXml(nodes)).replace(/\s*\n+\s*/g, ' ').trim();
+}
+
+// Children of an order-preserving node with one of the given tags
+function findOrderedChildren(node, tags) {
+  return toArray(node[getOrderedTag(node)]).filter(child => tags.includes(getOrderedTag(child)));
+}
+
+// Read the answers, matching mode and feedback of an order-preserving stringresponse
+/**
+ * Read the answers, matching mode and feedback of an order-preserving stringresponse
+ * @param {Object} response - { stringresponse: [...] } node
+ * @param {string} [key] - Component and part the response belongs to, e.g. 'geo:1'
+ * @returns {Object} - Spec for renderTextQuiz
+ */
+function getStringResponseSpec(response, key) {
+  const attributes = getOrderedAttributes(response);
+  const answers = [attributes.answer, ...findOrderedChildren(response, ['additional_answer'])
+    .map(answer => getOrderedAttributes(answer).answer ?? decodeXmlEntities(serializeOrderedXml(answer.additional_answer)))]
+    .map(answer => String(answer ?? '').trim())
+    .filter(Boolean);
+  const feedback = findOrderedChildren(response, ['stringequalhint'])
+    .map(hint => ({
+      answer: getOrderedAttributes(hint).answer,
+      text: renderInlineNodes(hint.stringequalhint)
+    }))
+    .filter(hint => hint.answer !== undefined);
+  return { answers, ...parseStringResponseType(attributes.type), feedback, key };
+}
+
+// Render the LiaScript quiz lines for a response's input element
+/**
+ * Render the LiaScript quiz lines for a response's input element
+ * @param {Object} response - Order-preserving response node, e.g. { optionresponse: [...] }
+ * @param {Object} input - Its input element, e.g. { optioninput: [...] }
+ * @param {string} [key] - Component and part the response belongs to, see getStringResponseSpec
+ * @returns {string[]} - Quiz lines
+ * @description Uses the same LiaScript syntax as the render*Problem functions
+ */
+function renderResponseQuiz(response, input, key) {
+  const responseTag = getOrderedTag(response);
+  const inputTag = getOrderedTag(input);
+  
+  switch (responseTag) {
+    case 'multiplechoiceresponse':
+    case 'choiceresponse': {
+      const checkboxes = responseTag === 'multiplechoiceresponse' || inputTag === 'checkboxgroup';
+      return findOrderedChildren(input, ['choice']).map(choice => {
+        const isCorrect = getOrderedAttributes(choice).correct === 'true';
+        const marker = checkboxes ? (isCorrect ? '[[X]]' : '[[ ]]') : (isCorrect ? '[(X)]' : '[( )]');
+        const text = renderInlineNodes(toArray(choice.choice).filter(child => getOrderedTag(child) !== 'choicehint'));
+        return `- ${marker} ${text}`;
+      });
+    }
+    case 'optionresponse': {
+      const attributes = getOrderedAttributes(input);
+      // Older exports list the options in attributes: options="('a','b')" correct="b"
+      const choices = findOrderedChildren(input, ['option']).length > 0
+        ? findOrderedChildren(input, ['option']).map(option => ({
+          text: renderInlineNodes(option.option),
+          isCorrect: String(getOrderedAttributes(option).correct).toLowerCase() === 'true'
+        }))
+        : [...(attributes.options || '').matchAll(/'((?:[^'\\]|\\.)*)'/g)].map(match => ({
+          text: match[1],
+          isCorrect: match[1] === attributes.correct
+        }));
+      if (choices.length === 0) {
+        return [];
+      }
+      return [`[[ ${choices.map(choice => choice.isCorrect ? `( ${choice.text} )` : choice.text).join(' | ')} ]]`];
+    }
+    case 'stringresponse':
+      return renderTextQuiz(getStringResponseSpec(response, key));
+    case 'formularesponse': {
+      const attributes = getOrderedAttributes(response);
+      const tolerance = findOrderedChildren(response, ['responseparam'])
+        .map(getOrderedAttributes)
+        .find(param => param.type === 'tolerance');
+      return renderFormulaQuiz({
+        answer: attributes.answer,
+        samples: attributes.samples,
+        tolerance: tolerance && tolerance.default,
+        caseInsensitive: parseStringResponseType(attributes.type).caseInsensitive
+      });
+    }
+    case 'numericalresponse': {
+      const tolerance = findOrderedChildren(response, ['responseparam'])
+        .map(getOrderedAttributes)
+        .find(param => param.type === 'tolerance');
+      const answers = [getOrderedAttributes(response).answer, ...findOrderedChildren(response, ['additional_answer'])
+        .map(answer => getOrderedAttributes(answer).answer)]
+        .map(answer => parseNumericalAnswer(answer, tolerance && tolerance.default))
+        .filter(Boolean);
+      return renderNumericalQuiz(answers);
+    }
+    default:
+      return [];
+  }
+}
+
+// Render a problem from its order-preserving body
+/**
+ * Render a problem from its order-preserving body
+ * @param {Object} problemIR - Problem IR with body (and parts) from parseProblemComponent
+ * @returns {string} - LiaScript Markdown
+ * @description Text, images, tables and code before, between, inside and after the response
+ * elements are rendered in document order through htmlToMarkdown, the same path as html blocks.
+ * Every response is its own quiz, placed where its input element was and followed by its hints
+ * and string feedback. Dropdowns inside a sentence become inline selections. Demand hints and any
+ * <solution> belong to the whole problem and close it: they are attached to the last quiz when it
+ * ends the problem, otherwise they follow the text after it as a plain list and solution text.
+ */
+function renderProblemBody(problemIR) {
+  const body = toArray(problemIR.body);
+  const parts = problemIR.parts || getProblemParts(body);
+  const partKey = response => [problemIR.filename, parts.findIndex(part => part.response === response)].join(':');
+  
+  const hints = body
+    .filter(node => getOrderedTag(node) === 'demandhint')
+    .flatMap(node => findOrderedChildren(node, ['hint']))
+    .map(hint => renderInlineNodes(hint.hint))
+    .filter(Boolean);
+  const solutionLines = body
+    .filter(node => getOrderedTag(node) === 'solution')
+    .map(node => htmlToMarkdown(serializeOrderedXml(node.solution)))
+    .filter(Boolean)
+    .flatMap(solution => ['', QUIZ_SOLUTION_FENCE, '', solution, '', QUIZ_SOLUTION_FENCE]);
+  
+  const blocks = [];
+  const quizBlocks = [];
+  const inlineQuizzes = [];
+  const translators = {
+    [INLINE_QUIZ_TAG]: ({ node }) => ({ content: inlineQuizzes[node.getAttribute('index')], recurse: false })
+  };
+  let pending = [];
+  const flush = () => {
+    const markdown = htmlToMarkdown(serializeOrderedXml(pending), translators);
+    if (markdown) {
+      blocks.push(markdown);
+    }
+    pending = [];
+  };
+  
+  // Dropdowns nested in a response's text become inline quiz elements that flush renders
+  const inlineSelections = (nodes, response) => toArray(nodes).map(node => {
+    const tag = getOrderedTag(node);
+    if (tag === 'optioninput') {
+      inlineQuizzes.push(renderResponseQuiz(response, node, partKey(response)).join(' '));
+      return { [INLINE_QUIZ_TAG]: [], ':@': { '@_index': String(inlineQuizzes.length - 1) } };
+    }
+    return tag ? { ...node, [tag]: inlineSelections(node[tag], response) } : node;
+  });
+  
+  // Hints, string feedback and, when the quiz ends the problem, its demand hints and solution
+  const renderQuizEnd = (response, endsProblem) => {
+    const responseHints = findOrderedChildren(response, RESPONSE_HINT_TAGS)
+      .map(hint => renderInlineNodes(hint[getOrderedTag(hint)]))
+      .filter(Boolean);
+    const lines = [...responseHints, ...(endsProblem ? hints : [])].map(hint => `- [[?]] ${hint}`);
+    const feedback = getOrderedTag(response) === 'stringresponse' ? renderQuizFeedback(getStringResponseSpec(response, partKey(response))) : '';
+    if (feedback) {
+      lines.push('', feedback);
+    }
+    if (endsProblem) {
+      lines.push(...solutionLines);
+    }
+    return lines.join('\n');
+  };
+  
+  const renderResponse = (response, problemType) => {
+    const tag = getOrderedTag(response);
+    const supported = ORDERED_PROBLEM_TYPES.includes(problemType);
+    let quizBlock = -1;
+    for (const child of toArray(response[tag])) {
+      const childTag = getOrderedTag(child);
+      if (INPUT_TAGS.includes(childTag)) {
+        if (supported) {
+          flush();
+          blocks.push(renderResponseQuiz(response, child, partKey(response)).join('\n'));
+          quizBlock = blocks.length - 1;
+        }
+      } else if (!RESPONSE_HINT_TAGS.includes(childTag) && !HIDDEN_PROBLEM_TAGS.includes(childTag)) {
+        const quizCount = inlineQuizzes.length;
+        pending.push(supported && tag === 'optionresponse' ? inlineSelections([child], response)[0] : child);
+        if (inlineQuizzes.length > quizCount) {
+          flush();
+          quizBlock = blocks.length - 1;
+        }
+      }
+    }
+    flush();
+    if (!supported) {
+      blocks.push(renderUnsupportedNote(problemType));
+      return;
+    }
+    if (quizBlock === -1) {
+      blocks.push(renderResponseQuiz(response, { [tag]: [] }, partKey(response)).join('\n'));
+      quizBlock = blocks.length - 1;
+    }
+    quizBlocks.push({ response, block: quizBlock });
+  };
+  
+  for (const node of body) {
+    const tag = getOrderedTag(node);
+    const part = parts.find(candidate => candidate.response === node);
+    if (part) {
+      flush();
+      renderResponse(node, part.problemType);
+    } else if (!RESPONSE_TAGS.includes(tag) && !['demandhint', 'solution'].includes(tag) && !HIDDEN_PROBLEM_TAGS.includes(tag)) {
+      pending.push(node);
+    }
+  }
+  flush();
+  
+  const lastQuiz = quizBlocks[quizBlocks.length - 1];
+  const endsWithQuiz = Boolean(lastQuiz) && lastQuiz.block === blocks.length - 1;
+  quizBlocks.forEach(quiz => {
+    const { response, block } = quiz;
+    const quizEnd = renderQuizEnd(response, endsWithQuiz && quiz === lastQuiz);
+    if (quizEnd) {
+      blocks[block] = blocks[block] ? `${blocks[block]}\n${quizEnd}` : quizEnd;
+    }
+  });
+  if (!endsWithQuiz) {
+    const problemEnd = [...hints.map(hint => `- ${hint}`), ...solutionLines].join('\n').trim();
+    if (problemEnd) {
+      blocks.push(problemEnd);
+    }
+  }
+  
+  return `${blocks.join('\n\n')}\n`;
+}
+
 // Extract hints from problem content
 /**
  * Extract hints from problem content
@@ -993,6 +2825,72 @@ function renderChoiceProblem(content, displayName) {
   return lines.join('\n');
 }
 
+// Read the matching mode from a stringresponse type attribute, e.g. 'ci regexp'
+/**
+ * Read the matching mode from a stringresponse type attribute, e.g. 'ci regexp'
+ * @param {string} [type] - type attribute; edX compares case-sensitively by default
+ * @returns {{ caseInsensitive: boolean, regexp: boolean }} - Matching mode
+ */
+function parseStringResponseType(type) {
+  const flags = String(type || '').toLowerCase().split(/\s+/);
+  return { caseInsensitive: flags.includes('ci'), regexp: flags.includes('regexp') };
+}
+
+// Id of the element a text quiz's script writes <stringequalhint> feedback into. The spec's key
+// tells apart identical quizzes in different parts or components
+function getQuizFeedbackId(spec) {
+  const digest = crypto.createHash('sha256').update(JSON.stringify(spec)).digest('hex');
+  return `quiz-feedback-${digest.slice(0, 12)}`;
+}
+
+// Render a text quiz whose script checks the learner's answer the way edX does
+/**
+ * Render a text quiz whose script checks the learner's answer the way edX does
+ * @param {Object} spec - { answers, caseInsensitive, regexp, feedback: [{ answer, text }], key }
+ * @returns {string[]} - Quiz lines; an empty quiz when there is no answer
+ * @description Leading and trailing whitespace is ignored and inner runs of whitespace count as
+ * one space. Regexp answers must match the whole answer. When the learner's answer matches a
+ * <stringequalhint>, its text is written into the element from renderQuizFeedback.
+ * @example
+ * renderTextQuiz({ answers: ['Paris'], caseInsensitive: true, regexp: false, feedback: [] });
+ * Returns: ['    [[Paris]]', '    <script>', ...]
+ */
+function renderTextQuiz(spec) {
+  const { answers, caseInsensitive = false, regexp = false, feedback = [] } = spec;
+  if (answers.length === 0) {
+    return ['    [[ ]]'];
+  }
+  
+  // A pattern is no answer to show, so regexp quizzes resolve to an empty field
+  const lines = [`    [[${regexp ? ' ' : answers[0]}]]`, '    <script>'];
+  if (regexp) {
+    lines.push(
+      `      const input = ${QUIZ_INPUT}.trim();`,
+      `      const matches = answer => new RegExp("^(?:" + answer + ")$", "${caseInsensitive ? 'i' : ''}").test(input);`
+    );
+  } else {
+    lines.push(
+      `      const normalize = text => text.trim().replace(/\\s+/g, " ")${caseInsensitive ? '.toLowerCase()' : ''};`,
+      `      const input = normalize(${QUIZ_INPUT});`,
+      '      const matches = answer => input === normalize(answer);'
+    );
+  }
+  if (feedback.length > 0) {
+    lines.push(
+      `      const hint = ${JSON.stringify(feedback)}.find(item => matches(item.answer));`,
+      `      const feedback = document.getElementById("${getQuizFeedbackId(spec)}");`,
+      '      if (feedback) feedback.textContent = hint ? hint.text : "";'
+    );
+  }
+  lines.push(`      ${JSON.stringify(answers)}.some(matches);`, '    </script>');
+  return lines;
+}
+
+// Render the element that shows <stringequalhint> feedback below a text quiz
+function renderQuizFeedback(spec) {
+  return spec.answers.length > 0 && spec.feedback.length > 0 ? `<p id="${getQuizFeedbackId(spec)}"></p>` : '';
+}
+
 // Render text input problem
 /**
  * Render text input problem
@@ -1017,26 +2915,101 @@ function renderTextInputProblem(content, displayName) {
     const variants = toArray(stringResponse.additional_answer)
       .map(v => (typeof v === 'string' ? v : (v['@_answer'] || '')).toString().trim())
       .filter(Boolean);
-    const allAnswers = [primary, ...variants].filter(Boolean);
+    const feedback = toArray(stringResponse.stringequalhint)
+      .filter(hint => hint && typeof hint === 'object' && hint['@_answer'] !== undefined)
+      .map(hint => ({ answer: String(hint['@_answer']), text: String(hint['#text'] ?? '').trim() }));
+    const spec = {
+      answers: [primary, ...variants].filter(Boolean),
+      ...parseStringResponseType(stringResponse['@_type']),
+      feedback
+    };
 
-    if (allAnswers.length > 0) {
-      lines.push(`\n    [[${allAnswers.join(' | ')}]]\n`);
-    } else {
-      lines.push(`\n    [[ ]]\n`);
-    }
+    lines.push(`\n${renderTextQuiz(spec).join('\n')}\n`);
     
     const hints = extractHints(stringResponse);
     hints.forEach(hint => {
       lines.push(`- [[?]] ${hint}`);
     });
+    
+    const feedbackElement = renderQuizFeedback(spec);
+    if (feedbackElement) {
+      lines.push(`\n${feedbackElement}`);
+    }
   }
 
   return lines.join('\n');
 }
 
-// Render number input problem
+// edX accepts numbers within 0.001% of the answer when a problem sets no tolerance
+const DEFAULT_NUMERICAL_TOLERANCE = '0.001%';
+
+// Parse a numericalresponse answer into a value with tolerance, or an interval
 /**
- * Render number input problem
+ * Parse a numericalresponse answer into a value with tolerance, or an interval
+ * @param {string} answer - Answer attribute, e.g. '100' or '[5, 7)'
+ * @param {string} [tolerance] - Absolute ('5') or percentage ('2%') tolerance
+ * @returns {Object|null} - { value, tolerance } with an absolute tolerance, or
+ * { min, max, includeMin, includeMax }; null when the answer is not a number (e.g. a $variable)
+ * @example
+ * parseNumericalAnswer('100', '5%');
+ * Returns: { value: 100, tolerance: 5 }
+ */
+function parseNumericalAnswer(answer, tolerance = DEFAULT_NUMERICAL_TOLERANCE) {
+  const text = String(answer ?? '').trim();
+  
+  const interval = text.match(/^([[(])\s*([^,]+?)\s*,\s*([^,]+?)\s*([\])])$/);
+  if (interval) {
+    const min = Number(interval[2]);
+    const max = Number(interval[3]);
+    if (Number.isNaN(min) || Number.isNaN(max)) {
+      return null;
+    }
+    return { min, max, includeMin: interval[1] === '[', includeMax: interval[4] === ']' };
+  }
+  
+  const value = text === '' ? NaN : Number(text);
+  if (!Number.isFinite(value)) {
+    return null;
+  }
+  
+  const toleranceText = String(tolerance ?? DEFAULT_NUMERICAL_TOLERANCE).trim();
+  const amount = Math.abs(Number(toleranceText.replace(/%$/, '')));
+  const absolute = toleranceText.endsWith('%') ? Math.abs(value) * amount / 100 : amount;
+  return { value, tolerance: Number.isFinite(absolute) ? absolute : 0 };
+}
+
+// Render a number quiz whose script checks the learner's value against every accepted answer
+/**
+ * Render a number quiz whose script checks the learner's value against every accepted answer
+ * @param {Object[]} answers - Parsed answers from parseNumericalAnswer
+ * @returns {string[]} - Quiz lines; the placeholder quiz when there is nothing to check against
+ * @description Uses LiaScript's script-based quiz validation: @input is replaced by what the
+ * learner typed and the script's last value decides whether it is correct. The quiz shows the
+ * first answer (the middle of an interval) as its solution.
+ */
+function renderNumericalQuiz(answers) {
+  if (answers.length === 0) {
+    return ['    [[Enter a number]]'];
+  }
+  
+  const first = answers[0];
+  const shown = 'value' in first ? first.value : (first.min + first.max) / 2;
+  return [
+    `    [[${shown}]]`,
+    '    <script>',
+    `      const value = Number(${QUIZ_INPUT}.trim() || NaN);`,
+    `      const answers = ${JSON.stringify(answers)};`,
+    '      answers.some(answer => "value" in answer',
+    '        ? Math.abs(value - answer.value) <= answer.tolerance',
+    '        : (answer.includeMin ? value >= answer.min : value > answer.min) &&',
+    '          (answer.includeMax ? value <= answer.max : value < answer.max));',
+    '    </script>'
+  ];
+}
+
+// Render number input problem
+/**
+ * Render number input problem
  * @param {Object} content - Problem content
  * @param {string} displayName - Display name
  * @returns {string} Markdown content
@@ -1054,7 +3027,14 @@ function renderNumberInputProblem(content, displayName) {
     if (labelContent) {
       lines.push(`${labelContent}\n`);
     }
-    lines.push('    [[Enter a number]]\n');
+    
+    const tolerance = toArray(numericalResponse.responseparam)
+      .find(param => param && param['@_type'] === 'tolerance');
+    const answers = [numericalResponse['@_answer'], ...toArray(numericalResponse.additional_answer)
+      .map(answer => (typeof answer === 'object' ? answer['@_answer'] : answer))]
+      .map(answer => parseNumericalAnswer(answer, tolerance && tolerance['@_default']))
+      .filter(Boolean);
+    lines.push(`${renderNumericalQuiz(answers).join('\n')}\n`);
     
     const hints = extractHints(numericalResponse);
     hints.forEach(hint => {
@@ -1065,6 +3045,301 @@ function renderNumberInputProblem(content, displayName) {
   return lines.join('\n');
 }
 
+// Evaluate an edX formula such as 'x^2 + sin(pi*y)/2' with the given variable values
+/**
+ * Evaluate an edX formula such as 'x^2 + sin(pi*y)/2' with the given variable values
+ * @param {string} expression - Formula: numbers, variables, pi, e, + - * / ^ (or **), parentheses
+ * and functions like sqrt, sin, arctan, ln, log10, exp, abs and fact
+ * @param {Object} [variables] - Variable values by name
+ * @param {boolean} [caseInsensitive=false] - Match variable names case-insensitively (function names always are)
+ * @returns {number} - Value of the formula
+ * @throws {Error} When the formula is malformed or uses an unknown name
+ * @description A small recursive-descent parser without eval. It must stay self-contained:
+ * renderFormulaChecker copies its source into the course.
+ * @example
+ * evaluateFormula('2*x^2 - 1', { x: 3 });
+ * Returns: 17
+ */
+/* istanbul ignore next: the source is copied into courses as is, so it must not be instrumented */
+function evaluateFormula(expression, variables = {}, caseInsensitive = false) {
+  const normalize = name => (caseInsensitive ? name.toLowerCase() : name);
+  const factorial = x => {
+    if (!Number.isInteger(x) || x < 0) return NaN;
+    let result = 1;
+    for (let i = 2; i <= x; i++) result *= i;
+    return result;
+  };
+  const functions = {
+    sin: Math.sin, cos: Math.cos, tan: Math.tan,
+    sec: x => 1 / Math.cos(x), csc: x => 1 / Math.sin(x), cot: x => 1 / Math.tan(x),
+    arcsin: Math.asin, arccos: Math.acos, arctan: Math.atan,
+    sinh: Math.sinh, cosh: Math.cosh, tanh: Math.tanh,
+    sqrt: Math.sqrt, abs: Math.abs, exp: Math.exp, ln: Math.log, log10: Math.log10, log2: Math.log2,
+    fact: factorial, factorial
+  };
+  const scope = { pi: Math.PI, e: Math.E };
+  Object.entries(variables).forEach(([name, value]) => { scope[normalize(name)] = value; });
+  
+  const tokens = String(expression).match(/\d+\.?\d*(?:[eE][+-]?\d+)?|\.\d+(?:[eE][+-]?\d+)?|[A-Za-z_]\w*|\*\*|\S/g) || [];
+  let position = 0;
+  const peek = () => tokens[position];
+  const take = expected => {
+    const token = tokens[position++];
+    if (expected !== undefined && token !== expected) {
+      throw new Error('Expected "' + expected + '" in formula');
+    }
+    return token;
+  };
+  
+  // sum := product (("+" | "-") product)*, product := unary (("*" | "/") unary)*
+  const parseSum = () => {
+    let value = parseProduct();
+    while (peek() === '+' || peek() === '-') {
+      value = take() === '+' ? value + parseProduct() : value - parseProduct();
+    }
+    return value;
+  };
+  const parseProduct = () => {
+    let value = parseUnary();
+    while (peek() === '*' || peek() === '/') {
+      value = take() === '*' ? value * parseUnary() : value / parseUnary();
+    }
+    return value;
+  };
+  // Signs bind looser than powers (-2^2 is -4); powers are right-associative
+  const parseUnary = () => {
+    if (peek() === '-' || peek() === '+') {
+      return take() === '-' ? -parseUnary() : parseUnary();
+    }
+    const base = parsePrimary();
+    if (peek() === '^' || peek() === '**') {
+      take();
+      return Math.pow(base, parseUnary());
+    }
+    return base;
+  };
+  const parsePrimary = () => {
+    const token = take();
+    if (token === undefined) {
+      throw new Error('Unexpected end of formula');
+    }
+    if (token === '(') {
+      const value = parseSum();
+      take(')');
+      return value;
+    }
+    if (/^[\d.]/.test(token)) {
+      return Number(token);
+    }
+    if (/^[A-Za-z_]/.test(token)) {
+      if (peek() === '(') {
+        const name = token.toLowerCase();
+        if (!Object.hasOwn(functions, name)) {
+          throw new Error('Unknown function "' + token + '" in formula');
+        }
+        take('(');
+        const argument = parseSum();
+        take(')');
+        return functions[name](argument);
+      }
+      const name = normalize(token);
+      if (Object.hasOwn(scope, name)) {
+        return scope[name];
+      }
+      throw new Error('Unknown variable "' + token + '" in formula');
+    }
+    throw new Error('Unexpected "' + token + '" in formula');
+  };
+  
+  const value = parseSum();
+  if (position < tokens.length) {
+    throw new Error('Unexpected "' + peek() + '" in formula');
+  }
+  return value;
+}
+
+// Check a learner's formula against the answer at random sample points
+/**
+ * Check a learner's formula against the answer at random sample points
+ * @param {string} input - Learner's formula
+ * @param {Object} spec - { answer, variables: { name: [low, high] }, count, tolerance, caseInsensitive }
+ * @param {Function} [random=Math.random] - Source of random numbers in [0, 1)
+ * @returns {boolean} - Whether both formulas agree within the tolerance at every sample
+ * @description Self-contained like evaluateFormula, whose source goes into the same script
+ */
+/* istanbul ignore next: copied into courses like evaluateFormula */
+function checkFormulaAnswer(input, spec, random = Math.random) {
+  const { answer, variables, count, tolerance, caseInsensitive } = spec;
+  if (String(input).trim() === '') {
+    return false;
+  }
+  
+  const toleranceText = String(tolerance).trim();
+  const amount = Math.abs(parseFloat(toleranceText));
+  for (let sample = 0; sample < count; sample++) {
+    const values = {};
+    Object.entries(variables).forEach(([name, [low, high]]) => { values[name] = low + random() * (high - low); });
+    let expected;
+    let actual;
+    try {
+      expected = evaluateFormula(answer, values, caseInsensitive);
+      actual = evaluateFormula(input, values, caseInsensitive);
+    } catch (error) {
+      return false;
+    }
+    const allowed = toleranceText.endsWith('%') ? Math.abs(expected) * amount / 100 : amount;
+    if (!(Math.abs(actual - expected) <= allowed)) {
+      return false;
+    }
+  }
+  return true;
+}
+
+// Parse a formularesponse samples attribute, e.g. 'x,y@1,2:3,4#10'
+/**
+ * Parse a formularesponse samples attribute, e.g. 'x,y@1,2:3,4#10'
+ * @param {string} [samples] - Variable names, lower bounds, upper bounds and sample count
+ * @returns {{ variables: Object, count: number }|null} - Ranges by variable and sample count; null when malformed
+ * @example
+ * parseFormulaSamples('x,y@1,2:3,4#10');
+ * Returns: { variables: { x: [1, 3], y: [2, 4] }, count: 10 }
+ */
+function parseFormulaSamples(samples) {
+  const text = String(samples ?? '').trim();
+  if (text === '') {
+    // A formula without variables only needs one evaluation
+    return { variables: {}, count: 1 };
+  }
+  
+  const match = text.match(/^([^@]+)@([^:]+):([^#]+)(?:#(\d+))?$/);
+  if (!match) {
+    return null;
+  }
+  const names = match[1].split(',').map(name => name.trim()).filter(Boolean);
+  const lows = match[2].split(',').map(Number);
+  const highs = match[3].split(',').map(Number);
+  if (names.length !== lows.length || names.length !== highs.length || [...lows, ...highs].some(Number.isNaN)) {
+    return null;
+  }
+  return {
+    variables: Object.fromEntries(names.map((name, index) => [name, [lows[index], highs[index]]])),
+    count: Math.max(1, Number(match[4] || 10))
+  };
+}
+
+// Start of the check in every formula quiz script
+const FORMULA_CHECK_CALL = `checkFormulaAnswer(${QUIZ_INPUT}, `;
+
+// Render a formula quiz whose script compares the learner's formula with the answer at sample points
+/**
+ * Render a formula quiz whose script compares the learner's formula with the answer at sample points
+ * @param {Object} formula - { answer, samples, tolerance, caseInsensitive } from the formularesponse
+ * @returns {string[]} - Quiz lines
+ * @description The script calls the checkFormulaAnswer that renderFormulaChecker defines once per
+ * course, so the check runs in the browser without further libraries. An answer that cannot be
+ * evaluated (a $variable, unknown functions) or malformed samples fall back to a plain text quiz.
+ */
+function renderFormulaQuiz({ answer, samples, tolerance, caseInsensitive = false }) {
+  const text = String(answer ?? '').trim();
+  if (text === '') {
+    return ['    [[ ]]'];
+  }
+  
+  const sampling = parseFormulaSamples(samples);
+  try {
+    if (!sampling) {
+      throw new Error(`malformed samples "${samples}"`);
+    }
+    const midpoints = Object.fromEntries(Object.entries(sampling.variables).map(([name, [low, high]]) => [name, (low + high) / 2]));
+    evaluateFormula(text, midpoints, caseInsensitive);
+  } catch (error) {
+    console.warn(`Formula answer "${text}" cannot be checked by sampling: ${error.message}`);
+    return [`    [[${text}]]`];
+  }
+  
+  const spec = { answer: text, ...sampling, tolerance: tolerance ?? DEFAULT_NUMERICAL_TOLERANCE, caseInsensitive };
+  return [
+    `    [[${text}]]`,
+    '    <script>',
+    `      ${FORMULA_CHECK_CALL}${JSON.stringify(spec)});`,
+    '    </script>'
+  ];
+}
+
+// Define the formula checker once for a course's formula quizzes
+/**
+ * Define the formula checker once for a course's formula quizzes
+ * @returns {string} - LiaScript header comment whose @onload script defines checkFormulaAnswer
+ * @description The script holds the source of evaluateFormula and checkFormulaAnswer and makes
+ * checkFormulaAnswer global for the quiz scripts from renderFormulaQuiz
+ */
+function renderFormulaChecker() {
+  return [
+    '<!--',
+    '@onload',
+    String(evaluateFormula),
+    String(checkFormulaAnswer),
+    'window.checkFormulaAnswer = checkFormulaAnswer;',
+    '@end',
+    '-->'
+  ].join('\n');
+}
+
+// Render formula problem
+/**
+ * Render formula problem
+ * @param {Object} content - Problem content
+ * @param {string} displayName - Display name
+ * @returns {string} Markdown content
+ */
+function renderFormulaProblem(content, displayName) {
+  const lines = [];
+  
+  const formulaResponse = content.formularesponse;
+  if (formulaResponse) {
+    const pContent = formulaResponse.p || '';
+    const labelContent = formulaResponse.label || '';
+    if (pContent) {
+      lines.push(`${pContent}\n`);
+    }
+    if (labelContent) {
+      lines.push(`${labelContent}\n`);
+    }
+    
+    const tolerance = toArray(formulaResponse.responseparam)
+      .find(param => param && param['@_type'] === 'tolerance');
+    lines.push(`${renderFormulaQuiz({
+      answer: formulaResponse['@_answer'],
+      samples: formulaResponse['@_samples'],
+      tolerance: tolerance && tolerance['@_default'],
+      caseInsensitive: parseStringResponseType(formulaResponse['@_type']).caseInsensitive
+    }).join('\n')}\n`);
+    
+    const hints = extractHints(formulaResponse);
+    hints.forEach(hint => {
+      lines.push(`- [[?]] ${hint}`);
+    });
+  }
+  
+  return lines.join('\n');
+}
+
+// Names of the supported problem types in the note on unsupported ones
+const PROBLEM_TYPE_NAMES = {
+  multiple_choice: '多选',
+  choice: '单选',
+  selection: '下拉选择',
+  text_input: '文本输入',
+  number_input: '数字输入',
+  formula: '公式输入'
+};
+
+// Note shown in place of a problem type that has no LiaScript quiz
+function renderUnsupportedNote(problemType) {
+  const supported = ORDERED_PROBLEM_TYPES.map(type => PROBLEM_TYPE_NAMES[type]).join('、');
+  return `*仅支持${supported}问题，${problemType} 类型暂不支持。*`;
+}
+
 // Render unsupported problem
 /**
  * Render unsupported problem
@@ -1082,7 +3357,7 @@ function renderUnsupportedProblem(content, displayName, problemType) {
   if (displayName) {
     lines.push(`${displayName}\n`);
   }
-  lines.push(`*仅支持多选、单选、下拉选择、文本输入、数字输入问题，${problemType} 类型暂不支持。*\n`);
+  lines.push(`${renderUnsupportedNote(problemType)}\n`);
   
   const hints = extractHints(content);
   hints.forEach(hint => {
@@ -1199,167 +3474,980 @@ function renderUnsupportedVideo(content, displayName) {
  * @example
  * const markdown = renderAboutComponent(aboutData);
  */
-function renderAboutComponent(aboutIR) {
-  if (!aboutIR || aboutIR.type !== 'about') {
-    throw new Error('Invalid about component data');
+function renderAboutComponent(aboutIR) {
+  if (!aboutIR || aboutIR.type !== 'about') {
+    throw new Error('Invalid about component data');
+  }
+  
+  const { content, displayName, aboutType } = aboutIR;
+  
+  switch (aboutType) {
+    case 'html':
+      return renderAboutHtml(content, displayName);
+    default:
+      return renderUnknownAbout(content, displayName);
+  }
+}
+
+// Render about HTML content
+/**
+ * Render about HTML content
+ * @param {string} content - HTML content
+ * @param {string} displayName - Display name
+ * @returns {string} Markdown content
+ * @description Converts about HTML content to LiaScript Markdown format
+ * @throws {Error} When about HTML content is invalid
+ * @example
+ * const markdown = renderAboutHtml(aboutData);
+ */
+function renderAboutHtml(content, displayName) {
+  const lines = [];
+  lines.push(`## ${displayName}\n`);
+  
+  const processedContent = rewriteMediaPaths(content);
+  
+  const markdown = NodeHtmlMarkdown.NodeHtmlMarkdown.translate(processedContent, {
+    bulletListMarker: '-',
+    codeFence: '```',
+    emDelimiter: '*',
+    fence: '```',
+    headingStyle: 'atx',
+    hr: '---',
+    strongDelimiter: '**',
+    textReplace: [
+      [/\s+/g, ' '],
+      [/\n\s*\n\s*\n/g, '\n\n']
+    ]
+  });
+  
+  if (markdown && markdown.trim() !== '') {
+    lines.push(markdown.trim());
+  } else {
+    lines.push('*No content available*');
+  }
+  
+  lines.push('\n---\n');
+  return lines.join('\n');
+}
+
+// Render unknown about type
+/**
+ * Render unknown about type
+ * @param {Object} content - Content
+ * @param {string} displayName - Display name
+ * @returns {string} Markdown content
+ */
+function renderUnknownAbout(content, displayName) {
+  const lines = [];
+  lines.push(`## ${displayName}\n`);
+  lines.push('*This about type is not yet supported.*\n');
+  lines.push('```json\n' + JSON.stringify(content, null, 2) + '\n```\n');
+  lines.push('\n---\n');
+  return lines.join('\n');
+}
+
+// ----------------------------------- Landing ------------------------------------
+
+// Convert HTML to Markdown that stays on the current slide
+/**
+ * Convert HTML to Markdown that stays on the current slide
+ * @param {string} html - HTML content
+ * @returns {string} - Markdown content
+ * @description Headings become bold lines, since a Markdown heading would start a new LiaScript slide
+ */
+function translateSlideHtml(html) {
+  const flattened = (html || '').replace(
+    /<h[1-6]\b[^>]*>([\s\S]*?)<\/h[1-6]>/gi,
+    (m, text) => `<p><strong>${text.trim()}</strong></p>`
+  );
+  return htmlToMarkdown(flattened);
+}
+
+// Render a course intro video page
+/**
+ * Render a course intro video page
+ * @param {string} html - about/video.html content, usually a YouTube iframe
+ * @returns {string} - LiaScript video embed, or the page as Markdown
+ */
+function renderLandingVideo(html) {
+  const youtube = html.match(/youtube(?:-nocookie)?\.com\/embed\/([A-Za-z0-9_-]+)/i);
+  if (youtube) {
+    return `!?[Course introduction](https://www.youtube.com/watch?v=${youtube[1]})`;
+  }
+  return translateSlideHtml(html);
+}
+
+// Render one titled part of the landing section
+function renderLandingPart(part, defaultHeading) {
+  const body = translateSlideHtml(part.content);
+  if (!body) {
+    return null;
+  }
+  return `**${part.heading || defaultHeading}**\n\n${body}`;
+}
+
+// Render the course landing section from the about/ pages
+/**
+ * Render the course landing section from the about/ pages
+ * @param {Object|null} landing - Landing data from parseAboutPages
+ * @returns {string} - LiaScript Markdown placed under the course title, or '' when there is none
+ * @description Everything stays on the title slide: short description, effort and duration,
+ * intro video, description, prerequisites, staff bios with images, FAQ, then any other pages.
+ * @example
+ * const markdown = renderCourseLanding(parseAboutPages('/temp/course1'));
+ */
+function renderCourseLanding(landing) {
+  if (!landing) {
+    return '';
+  }
+  
+  const blocks = [];
+  
+  if (landing.subtitle) {
+    blocks.push(`*${translateSlideHtml(landing.subtitle)}*`);
+  }
+  if (landing.shortDescription) {
+    blocks.push(translateSlideHtml(landing.shortDescription).split('\n').map(line => `> ${line}`.trimEnd()).join('\n'));
+  }
+  
+  const facts = [];
+  if (landing.effort) {
+    facts.push(`**Effort:** ${translateSlideHtml(landing.effort)}`);
+  }
+  if (landing.duration) {
+    facts.push(`**Duration:** ${translateSlideHtml(landing.duration)}`);
+  }
+  if (facts.length > 0) {
+    blocks.push(facts.join(' · '));
+  }
+  
+  if (landing.video) {
+    blocks.push(renderLandingVideo(landing.video));
+  }
+  if (landing.description) {
+    blocks.push(renderLandingPart(landing.description, 'About This Course'));
+  }
+  if (landing.prerequisites) {
+    blocks.push(renderLandingPart(landing.prerequisites, 'Prerequisites'));
+  }
+  
+  if (landing.staff && landing.staff.members.length > 0) {
+    const members = landing.staff.members.map(member => {
+      const lines = [];
+      if (member.image) {
+        lines.push(htmlToMarkdown(serializeOrderedXml([{ img: [], ':@': { '@_src': member.image, '@_alt': member.imageAlt } }])));
+      }
+      if (member.name) {
+        lines.push(`**${member.name}**`);
+      }
+      const bio = translateSlideHtml(member.bio);
+      if (bio) {
+        lines.push(bio);
+      }
+      return lines.join('\n\n');
+    });
+    blocks.push([`**${landing.staff.heading || 'Course Staff'}**`, ...members].join('\n\n'));
+  }
+  
+  if (landing.faq && landing.faq.items.length > 0) {
+    const items = landing.faq.items.map(item => {
+      const answer = translateSlideHtml(item.answer);
+      return item.question ? `*${item.question}*\n\n${answer}` : answer;
+    });
+    blocks.push([`**${landing.faq.heading || 'Frequently Asked Questions'}**`, ...items].join('\n\n'));
+  }
+  
+  if (landing.sidebar) {
+    blocks.push(translateSlideHtml(landing.sidebar));
+  }
+  landing.extra.forEach(entry => blocks.push(renderLandingPart(entry, 'More About This Course')));
+  
+  const markdown = blocks.filter(Boolean).join('\n\n');
+  return markdown ? `${markdown}\n` : '';
+}
+
+// ----------------------------------- Course Info ------------------------------------
+
+// Render course updates and handouts as an Announcements chapter
+/**
+ * Render course updates and handouts as an Announcements chapter
+ * @param {Object|null} info - Course info from parseCourseInfo
+ * @returns {string} - LiaScript Markdown chapter, or '' when there is none
+ * @description Each update gets its own slide titled by its date; handouts follow as a Handouts slide
+ * @example
+ * const markdown = renderAnnouncements(parseCourseInfo('/temp/course1'));
+ */
+function renderAnnouncements(info) {
+  if (!info) {
+    return '';
+  }
+  
+  const lines = ['## Announcements\n'];
+  
+  info.updates.forEach((update, index) => {
+    lines.push(`### ${update.date || `Update ${index + 1}`}\n`);
+    lines.push(`${translateSlideHtml(update.content) || '*No content available*'}\n`);
+  });
+  
+  if (info.handouts) {
+    lines.push('### Handouts\n');
+    lines.push(`${translateSlideHtml(info.handouts) || '*No content available*'}\n`);
+  }
+  
+  return lines.join('\n');
+}
+
+// ----------------------------------- Static Tabs and Textbooks ------------------------------------
+
+// Render a static tab page as an appendix chapter
+/**
+ * Render a static tab page as an appendix chapter
+ * @param {Object} tab - Static tab from parseStaticTabs
+ * @returns {string} - LiaScript Markdown chapter
+ */
+function renderStaticTab(tab) {
+  return `## ${tab.title}\n\n${translateSlideHtml(tab.content) || '*No content available*'}\n`;
+}
+
+// Render the course textbooks as a reading list chapter
+/**
+ * Render the course textbooks as a reading list chapter
+ * @param {Object[]} textbooks - Textbooks from parseTextbooks
+ * @returns {string} - LiaScript Markdown chapter, or '' when there are none
+ * @example
+ * renderReadingList([{ title: 'Guide', chapters: [{ title: 'Intro', url: './media/intro.pdf' }] }]);
+ * Returns: '## Reading List\n\n**Guide**\n\n- [Intro](./media/intro.pdf)\n'
+ */
+function renderReadingList(textbooks) {
+  if (!textbooks || textbooks.length === 0) {
+    return '';
+  }
+  
+  const blocks = textbooks.map(book => [
+    `**${book.title}**`,
+    book.chapters.map(chapter => `- [${chapter.title}](${chapter.url})`).join('\n')
+  ].join('\n\n'));
+  
+  return `## Reading List\n\n${blocks.join('\n\n')}\n`;
+}
+
+
+// ================================================================================================
+// =================================== Process Courses ============================================
+// ================================================================================================
+
+
+// --------------------------------- Process Main  -------------------------------------
+
+// Process course files (extract and prepare for conversion)
+/**
+ * Process course files (extract and prepare for conversion)
+ * @param {string[]} courseFiles - Array of course archive and course directory paths
+ * @returns {Promise<Object[]>} - Conversion results, one per course root, in input order
+ * @description Converts each course file, one at a time or in a pool of worker threads when
+ * --concurrency is above 1. Courses unchanged since the last run (see the conversion manifest)
+ * are skipped unless --force is set.
+ * @example
+ * processCourses(['course1.tar.gz', 'course2.zip', 'course3/']);
+ */
+async function processCourses(courseFiles) {
+    // Step 0: Input Files
+  console.log('Processing courses...');
+  
+  const jobs = courseFiles.map((file, i) => ({
+    file,
+    fileName: getCourseOutputName(file),
+    position: `${i + 1}/${courseFiles.length}`
+  }));
+  
+  // Skip courses whose content, converter version and options match the manifest
+  const manifest = loadManifest(resolvedOutputPath);
+  const cacheOptions = getCacheOptions(options);
+  const resultsByJob = new Array(jobs.length);
+  const pendingJobs = [];
+  for (const [index, job] of jobs.entries()) {
+    try {
+      job.contentHash = await computeContentHash(job.file);
+    } catch (error) {
+      job.contentHash = null;
+    }
+    const entry = manifest.courses[job.fileName];
+    if (!options.force && isCourseUpToDate(entry, job.contentHash, cacheOptions)) {
+      console.log(`Skipping unchanged course ${job.position}: ${job.fileName}`);
+      resultsByJob[index] = entry.outputs.map(outputName => ({
+        fileName: outputName,
+        source: job.file,
+        success: true,
+        skipped: true,
+        outputPath: path.join(resolvedOutputPath, outputName),
+        mediaCount: 0
+      }));
+    } else {
+      pendingJobs.push({ ...job, index });
+    }
+  }
+  
+  const concurrency = Math.min(options.concurrency || 1, pendingJobs.length);
+  // A course can only be aborted on timeout when it runs in a worker thread
+  if (concurrency > 1 || (options.courseTimeout && pendingJobs.length > 0)) {
+    if (concurrency > 1) console.log(`Converting with ${concurrency} workers`);
+    const workerResults = await processCoursesInWorkers(pendingJobs, Math.max(concurrency, 1), options.courseTimeout);
+    pendingJobs.forEach((job, i) => { resultsByJob[job.index] = workerResults[i]; });
+  } else {
+    // Process each course file
+    for (const job of pendingJobs) {
+      console.log(`Processing course ${job.position}: ${job.fileName}`);
+      resultsByJob[job.index] = await convertCourseFile(job.file, job.fileName);
+    }
+  }
+  
+  // Record fully converted courses in the manifest (stdout output is staged and discarded)
+  if (!stdoutOutput) {
+    for (const job of pendingJobs) {
+      recordManifestEntry(manifest, job, resultsByJob[job.index], cacheOptions);
+    }
+    saveManifest(resolvedOutputPath, manifest);
+  }
+  
+  // Step 6: Display Results
+  const conversionResults = resultsByJob.flat();
+  const skippedCount = conversionResults.filter(r => r.skipped).length;
+  const successCount = conversionResults.filter(r => r.success && !r.skipped).length;
+  const failCount = conversionResults.filter(r => !r.success).length;
+  const skippedSummary = skippedCount > 0 ? `, ${skippedCount} unchanged` : '';
+  console.log(`\nConversion completed: ${successCount} successful, ${failCount} failed${skippedSummary}`);
+  
+  if (!stdoutOutput) {
+    const resultsPath = writeConversionResults(resolvedOutputPath, conversionResults);
+    if (failCount > 0) {
+      console.log(`Retry the failed courses with: --retry-failed ${resultsPath}`);
+    }
+  }
+  
+  return conversionResults;
+}
+
+// Build a failed conversion result
+function createFailedResult(fileName, error, source) {
+  return {
+    fileName,
+    source,
+    success: false,
+    error: error.message,
+    outputPath: null,
+    mediaCount: 0
+  };
+}
+
+// Convert one course file end to end
+/**
+ * Convert one course file end to end
+ * @param {string} file - Course archive or course directory path
+ * @param {string} fileName - Course output name (relative to the output directory)
+ * @returns {Promise<Object[]>} - Conversion results, one per course root found in the file
+ * @description Extract → locate course roots → build tree → render Markdown → write output.
+ * Never throws: failures are returned as results so the rest of the batch continues.
+ */
+async function convertCourseFile(file, fileName) {
+  const conversionResults = [];
+  let extractedDir = null;
+  
+  try {
+    // Step 1: Extract
+    // Extract course file
+    extractedDir = await extractCourse(file);
+    
+    console.log(`Successfully extracted: ${fileName}`);
+    
+    // Step 2: Locate course root(s) - an archive may bundle several courses
+    const courseRoots = resolveCourseRoots(extractedDir);
+    if (courseRoots.length > 1) {
+      console.log(`Found ${courseRoots.length} course roots in ${fileName}`);
+    }
+    
+    for (const courseRoot of courseRoots) {
+      const relativeRoot = path.relative(extractedDir, courseRoot);
+      const courseName = courseRoots.length > 1 ? path.join(fileName, relativeRoot || 'course') : fileName;
+      
+      try {
+        // Step 3: Parse Structure
+        // Build course tree (parse structure), then drop content the audience should not see
+        const { courseTree, excluded } = filterCourseTree(buildCourseTree(courseRoot), options);
+        excluded.forEach(({ kind, title, reason }) => console.log(`Excluded ${kind} "${title}": ${reason}`));
+        
+        // Step 4: Convert to Markdown
+        // Transform course to Markdown
+        console.log(`Converting ${courseName} to LiaScript Markdown...`);
+        const markdownContent = transformCourseToMarkdown(courseTree, courseRoot);
+        
+        // Step 5: Generate Output Files
+        // Generate output files
+        const outputResult = await generateCourseOutput(courseName, markdownContent, courseRoot);
+        conversionResults.push({ fileName: courseName, source: file, ...outputResult });
+        
+        console.log(`Successfully converted: ${courseName}`);
+        
+      } catch (error) {
+        console.error(`Failed to process ${courseName}: ${error.message}`);
+        conversionResults.push(createFailedResult(courseName, error, file));
+      }
+    }
+    
+  } catch (error) {
+    console.error(`Failed to process ${fileName}: ${error.message}`);
+    conversionResults.push(createFailedResult(fileName, error, file));
+  } finally {
+    // Remove this course's extraction straight away; course directories used in place are never touched
+    if (extractedDir && isTempPath(extractedDir) && !options.keepTemp) {
+      cleanupTempFiles(extractedDir);
+    }
+  }
+  
+  return conversionResults;
+}
+
+// --------------------------------- Worker Pool  -------------------------------------
+
+// Convert courses in a bounded pool of worker threads
+/**
+ * Convert courses in a bounded pool of worker threads
+ * @param {Object[]} jobs - Jobs as { file, fileName, position }
+ * @param {number} concurrency - Number of worker threads
+ * @param {number} [courseTimeout] - Seconds after which a course's worker is terminated
+ * @param {Function} [printLog] - Prints a course's buffered console output, given (logs, results)
+ * @returns {Promise<Object[][]>} - Conversion results per job, in job order
+ * @description Each worker converts one course at a time and sends back its console output,
+ * which is printed as one block so parallel courses never interleave. A crashed or timed-out
+ * worker fails its current course and is replaced while jobs remain.
+ */
+function processCoursesInWorkers(jobs, concurrency, courseTimeout, printLog = printCourseLog) {
+  return new Promise(resolve => {
+    const resultsByJob = new Array(jobs.length);
+    let nextJob = 0;
+    let finishedJobs = 0;
+    
+    const finishJob = (index, results) => {
+      resultsByJob[index] = results;
+      finishedJobs++;
+      if (finishedJobs === jobs.length) {
+        resolve(resultsByJob);
+      }
+    };
+    
+    const startWorker = () => {
+      const worker = new Worker(new URL(import.meta.url), {
+        workerData: {
+          courseWorker: true,
+          options,
+          resolvedInputPath,
+          resolvedOutputPath
+        }
+      });
+      let currentJob = null;
+      let jobTempDir = null;
+      let timeoutTimer = null;
+      let abandoned = false;
+      
+      // Each course extracts into its own folder of the workspace, so an abandoned one can be removed
+      const removeJobTempDir = () => {
+        if (jobTempDir && !options.keepTemp) {
+          cleanupTempFiles(jobTempDir);
+        }
+        jobTempDir = null;
+      };
+      
+      // Fail the current course and hand the remaining jobs to a fresh worker
+      const abandonWorker = (reason) => {
+        if (abandoned) return;
+        abandoned = true;
+        clearTimeout(timeoutTimer);
+        if (currentJob !== null) {
+          const { file, fileName } = jobs[currentJob];
+          console.error(`Failed to process ${fileName}: ${reason.message}`);
+          const index = currentJob;
+          currentJob = null;
+          finishJob(index, [createFailedResult(fileName, reason, file)]);
+        }
+        if (nextJob < jobs.length) {
+          startWorker();
+        }
+      };
+      
+      const dispatch = () => {
+        if (nextJob >= jobs.length) {
+          currentJob = null;
+          worker.terminate();
+          return;
+        }
+        currentJob = nextJob++;
+        jobTempDir = fs.mkdtempSync(path.join(prepareTempRoot(), 'job-'));
+        worker.postMessage({ ...jobs[currentJob], index: currentJob, tempDir: jobTempDir });
+        // The worker is already running, so thread startup is not counted against the course
+        if (courseTimeout) {
+          timeoutTimer = setTimeout(() => {
+            abandonWorker(new Error(`Timed out after ${courseTimeout}s`));
+            worker.terminate();
+          }, courseTimeout * 1000);
+        }
+      };
+      
+      worker.on('message', message => {
+        if (abandoned || message.index !== currentJob) return; // late reply from an abandoned course
+        clearTimeout(timeoutTimer);
+        removeJobTempDir();
+        printLog(message.logs, message.results);
+        finishJob(message.index, message.results);
+        dispatch();
+      });
+      
+      worker.on('error', error => {
+        abandonWorker(new Error(`worker crashed: ${error.message}`));
+      });
+      
+      // A worker can also stop without an 'error' event (process.exit, out of memory)
+      worker.on('exit', code => {
+        if (code !== 0 || currentJob !== null) {
+          abandonWorker(new Error(`worker exited with code ${code}`));
+        }
+        removeJobTempDir();
+      });
+      
+      worker.once('online', dispatch);
+    };
+    
+    for (let i = 0; i < Math.min(concurrency, jobs.length); i++) {
+      startWorker();
+    }
+  });
+}
+
+// Print one course's buffered console output as a block
+function printCourseLog(logs) {
+  for (const { stream, text } of logs) {
+    if (stream === 'stderr') {
+      console.error(text);
+    } else {
+      console.log(text);
+    }
+  }
+}
+
+// Buffer console output instead of writing it straight away
+/**
+ * Buffer console output instead of writing it straight away
+ * @param {Object[]} logs - Array receiving { stream, text } entries
+ * @returns {Function} - Restores the original console methods
+ */
+function captureConsole(logs) {
+  const original = { log: console.log, info: console.info, warn: console.warn, error: console.error };
+  const capture = stream => (...args) => logs.push({ stream, text: util.format(...args) });
+  console.log = capture('stdout');
+  console.info = capture('stdout');
+  console.warn = capture('stderr');
+  console.error = capture('stderr');
+  return () => Object.assign(console, original);
+}
+
+// Worker thread entry: convert courses posted by the parent thread
+function runCourseWorker() {
+  // Adopt the parent's run configuration; the parent owns the temp workspace and its cleanup
+  options = workerData.options;
+  resolvedInputPath = workerData.resolvedInputPath;
+  resolvedOutputPath = workerData.resolvedOutputPath;
+  tempCleanupRegistered = true;
+  
+  parentPort.on('message', async ({ index, file, fileName, position, tempDir }) => {
+    tempRoot = tempDir;
+    const logs = [];
+    const restoreConsole = captureConsole(logs);
+    let results;
+    try {
+      console.log(`Processing course ${position}: ${fileName}`);
+      results = await convertCourseFile(file, fileName);
+    } finally {
+      restoreConsole();
+    }
+    parentPort.postMessage({ index, results, logs });
+  });
+}
+
+// --------------------------------- Watch Mode  -------------------------------------
+
+// Quiet period after the last change before a course is reconverted
+const WATCH_DEBOUNCE_MS = 500;
+
+// Find the course input a changed path belongs to
+/**
+ * Find the course input a changed path belongs to
+ * @param {string} changedPath - Absolute path reported by the watcher
+ * @param {string[]} courseFiles - Course archives and course directories
+ * @returns {string|undefined} - The archive itself, or the course directory containing the path
+ * @example
+ * findCourseForPath('/in/course-olx/html/intro.html', ['/in/a.tar.gz', '/in/course-olx']);
+ * Returns: '/in/course-olx'
+ */
+function findCourseForPath(changedPath, courseFiles) {
+  return courseFiles.find(file => changedPath === file || isPathInside(file, changedPath));
+}
+
+// Reconvert a single course after a change and log one summary line
+/**
+ * Reconvert a single course after a change and log one summary line
+ * @param {string} file - Course archive or course directory
+ * @returns {Promise<Object[]|null>} - Conversion results, or null when the content is unchanged
+ */
+async function reconvertWatchedCourse(file) {
+  const fileName = getCourseOutputName(file);
+  const timestamp = new Date().toLocaleTimeString();
+  const cacheOptions = getCacheOptions(options);
+  const job = { file, fileName, contentHash: null };
+  
+  try {
+    job.contentHash = await computeContentHash(file);
+  } catch (error) {
+    // Archive vanished or is still being written; the next change event retries
+    if (options.verbose) console.warn(`[${timestamp}] Cannot read ${fileName} yet: ${error.message}`);
+    return null;
+  }
+  if (isCourseUpToDate(loadManifest(resolvedOutputPath).courses[fileName], job.contentHash, cacheOptions)) {
+    if (options.verbose) console.log(`[${timestamp}] ${fileName} unchanged, skipped`);
+    return null;
+  }
+  
+  // Convert in a worker, whose console output is buffered there; show it when verbose or on failure
+  const startedAt = Date.now();
+  const [results] = await processCoursesInWorkers([{ file, fileName, position: 1 }], 1, options.courseTimeout, (logs, courseResults) => {
+    if (options.verbose || courseResults.some(result => !result.success)) {
+      printCourseLog(logs);
+    }
+  });
+  
+  // Other courses may have saved the manifest meanwhile, so merge into the latest copy
+  const manifest = loadManifest(resolvedOutputPath);
+  recordManifestEntry(manifest, job, results, cacheOptions);
+  saveManifest(resolvedOutputPath, manifest);
+  
+  const elapsed = Date.now() - startedAt;
+  for (const result of results) {
+    if (result.success) {
+      console.log(`[${timestamp}] Regenerated ${result.fileName} (${result.mediaCount} media files) in ${elapsed}ms`);
+    } else {
+      console.error(`[${timestamp}] Failed to regenerate ${result.fileName}: ${result.error}`);
+    }
+  }
+  return results;
+}
+
+// Watch the input path and reconvert courses as they change
+/**
+ * Watch the input path and reconvert courses as they change
+ * @param {string} inputPath - Input archive, course directory, or directory of courses
+ * @returns {fs.FSWatcher} - The active watcher (keeps the process alive until SIGINT/SIGTERM)
+ * @description Changes are debounced per course, and a course is never reconverted twice at
+ * once: a change during a rebuild schedules one more rebuild afterwards. New archives dropped
+ * into a watched directory are picked up too.
+ */
+function watchCourses(inputPath) {
+  const isSingleFile = fs.statSync(inputPath).isFile();
+  const watchRoot = isSingleFile ? path.dirname(inputPath) : inputPath;
+  const timers = new Map();
+  const running = new Set();
+  const rerun = new Set();
+  let courseFiles = getCourseFiles(inputPath);
+  
+  const rebuild = async (file) => {
+    if (running.has(file)) {
+      rerun.add(file);
+      return;
+    }
+    running.add(file);
+    try {
+      await reconvertWatchedCourse(file);
+    } catch (error) {
+      console.error(`Failed to regenerate ${getCourseOutputName(file)}: ${error.message}`);
+    } finally {
+      running.delete(file);
+    }
+    if (rerun.delete(file)) {
+      await rebuild(file);
+    }
+  };
+  
+  const onChange = (eventType, filename) => {
+    if (!filename) return;
+    const changedPath = path.join(watchRoot, filename.toString());
+    if (isPathInside(resolvedOutputPath, changedPath)) return; // our own output
+    if (isSingleFile && changedPath !== inputPath) return;
+    
+    let file = findCourseForPath(changedPath, courseFiles);
+    if (!file && !isSingleFile) {
+      // A new course may have appeared; rescan the input directory
+      try {
+        courseFiles = getCourseFiles(inputPath);
+      } catch (error) {
+        return;
+      }
+      file = findCourseForPath(changedPath, courseFiles);
+    }
+    if (!file) return;
+    
+    clearTimeout(timers.get(file));
+    timers.set(file, setTimeout(() => {
+      timers.delete(file);
+      rebuild(file);
+    }, WATCH_DEBOUNCE_MS));
+  };
+  
+  const watcher = fs.watch(watchRoot, { recursive: !isSingleFile }, onChange);
+  console.log(`\nWatching ${inputPath} for changes (Ctrl+C to stop)...`);
+  return watcher;
+}
+
+// ----------------------------------- Course Tree ------------------------------------
+
+// Build course tree
+/**
+ * Build course tree
+ * @param {string} courseRoot - Course root directory path
+ * @returns {Object} Course tree
+ */
+function buildCourseTree(courseRoot) {
+  const meta = parseCourseXml(courseRoot);
+  const drafts = options.includeDrafts || options.draftsOnly ? loadDrafts(courseRoot) : null;
+  const policy = loadCoursePolicy(courseRoot, meta.urlName);
+  const gradingPolicy = loadGradingPolicy(courseRoot, meta.urlName);
+  const attributes = { ...readNodeAttributes(meta.node), ...getPolicySettings(policy, 'course', meta.urlName) };
+  const title = attributes.display_name || meta.title;
+  
+  // Top-level children are usually chapters, but may be any container or component
+  let chapters = parseContainerChildren(courseRoot, meta.node, { drafts, policy, gradingPolicy }, meta.urlName);
+  if (options.draftsOnly) {
+    chapters = pruneToDrafts(chapters);
+    if (chapters.length === 0) {
+      console.warn(`No unpublished content found in ${path.join(courseRoot, DRAFTS_DIR)}`);
+    }
+  }
+  const about = parseAboutPages(courseRoot);
+  const courseInfo = options.announcements ? parseCourseInfo(courseRoot) : null;
+  const info = courseInfo && { ...courseInfo, placement: options.announcements };
+  const tabs = parseStaticTabs(courseRoot, attributes.tabs);
+  const textbooks = parseTextbooks(attributes);
+  return { id: meta.courseId, title, attributes, gradingPolicy, about, info, chapters, tabs, textbooks };
+}
+
+// Check an OLX boolean attribute
+function isTrueAttribute(value) {
+  return value === true || String(value).trim().toLowerCase() === 'true';
+}
+
+// Explain why a container is excluded for an audience and date, or return null to keep it
+/**
+ * Explain why a container is excluded for an audience and date, or return null to keep it
+ * @param {Object} node - Course tree container
+ * @param {string} audience - 'learner' or 'staff'
+ * @param {Date|null} asOf - Release cut-off date, or null to ignore start dates
+ * @returns {string|null} - Exclusion reason
+ */
+function getExclusionReason(node, audience, asOf) {
+  const attributes = node.attributes || {};
+  if (audience !== 'staff') {
+    if (isTrueAttribute(attributes.visible_to_staff_only)) {
+      return 'visible to staff only';
+    }
+    if (isTrueAttribute(attributes.hide_from_toc)) {
+      return 'hidden from the table of contents';
+    }
   }
-  
-  const { content, displayName, aboutType } = aboutIR;
-  
-  switch (aboutType) {
-    case 'html':
-      return renderAboutHtml(content, displayName);
-    default:
-      return renderUnknownAbout(content, displayName);
+  if (asOf && attributes.start) {
+    const start = new Date(attributes.start);
+    if (!Number.isNaN(start.getTime()) && start > asOf) {
+      return `not released until ${attributes.start}`;
+    }
   }
+  return null;
 }
 
-// Render about HTML content
+// Filter the course tree by audience and release date
 /**
- * Render about HTML content
- * @param {string} content - HTML content
- * @param {string} displayName - Display name
- * @returns {string} Markdown content
- * @description Converts about HTML content to LiaScript Markdown format
- * @throws {Error} When about HTML content is invalid
+ * Filter the course tree by audience and release date
+ * @param {Object} courseTree - Course tree from buildCourseTree
+ * @param {Object} [filterOptions] - { audience: 'learner'|'staff', asOf: Date }
+ * @returns {{ courseTree: Object, excluded: Object[] }} - Filtered copy, and { kind, id, title, reason }
+ * for every excluded container (its descendants go with it)
+ * @description Learners do not see visible_to_staff_only or hide_from_toc content; with asOf,
+ * containers whose start date is later are dropped for every audience. Static tabs that are
+ * staff-only or hidden are dropped for learners as well.
  * @example
- * const markdown = renderAboutHtml(aboutData);
+ * filterCourseTree(courseTree, { audience: 'learner' });
+ * Returns: { courseTree: {...}, excluded: [{ kind: 'sequential', id: 'answers', title: 'Answers', reason: 'visible to staff only' }] }
  */
-function renderAboutHtml(content, displayName) {
-  const lines = [];
-  lines.push(`## ${displayName}\n`);
-  
-  const processedContent = rewriteMediaPaths(content);
+function filterCourseTree(courseTree, { audience = 'staff', asOf = null } = {}) {
+  const asOfDate = asOf ? new Date(asOf) : null;
+  const excluded = [];
   
-  const markdown = NodeHtmlMarkdown.NodeHtmlMarkdown.translate(processedContent, {
-    bulletListMarker: '-',
-    codeFence: '```',
-    emDelimiter: '*',
-    fence: '```',
-    headingStyle: 'atx',
-    hr: '---',
-    strongDelimiter: '**',
-    textReplace: [
-      [/\s+/g, ' '],
-      [/\n\s*\n\s*\n/g, '\n\n']
-    ]
+  const filterNodes = nodes => nodes.flatMap(node => {
+    if (!Array.isArray(node.children)) {
+      return [node];
+    }
+    const reason = getExclusionReason(node, audience, asOfDate);
+    if (reason) {
+      excluded.push({ kind: node.kind, id: node.id, title: node.title, reason });
+      return [];
+    }
+    return [{ ...node, children: filterNodes(node.children) }];
   });
   
-  if (markdown && markdown.trim() !== '') {
-    lines.push(markdown.trim());
-  } else {
-    lines.push('*No content available*');
-  }
+  const tabs = toArray(courseTree.tabs).filter(tab => {
+    const reason = getExclusionReason(tab, audience, asOfDate);
+    if (reason) {
+      excluded.push({ kind: tab.kind, id: tab.id, title: tab.title, reason });
+    }
+    return !reason;
+  });
   
-  lines.push('\n---\n');
-  return lines.join('\n');
-}
-
-// Render unknown about type
-/**
- * Render unknown about type
- * @param {Object} content - Content
- * @param {string} displayName - Display name
- * @returns {string} Markdown content
- */
-function renderUnknownAbout(content, displayName) {
-  const lines = [];
-  lines.push(`## ${displayName}\n`);
-  lines.push('*This about type is not yet supported.*\n');
-  lines.push('```json\n' + JSON.stringify(content, null, 2) + '\n```\n');
-  lines.push('\n---\n');
-  return lines.join('\n');
+  return { courseTree: { ...courseTree, chapters: filterNodes(courseTree.chapters), tabs }, excluded };
 }
 
 
 // ================================================================================================
-// =================================== Process Courses ============================================
+// =================================== Conversion Cache ===========================================
 // ================================================================================================
 
+// Manifest file written to the output directory
+const MANIFEST_FILE = '.courseconverter-manifest.json';
 
-// --------------------------------- Process Main  -------------------------------------
+// Options that change the generated output; every other option only controls how a run executes
+const OUTPUT_OPTIONS = ['includeDrafts', 'draftsOnly', 'audience', 'asOf', 'announcements'];
 
-// Process course files (extract and prepare for conversion)
+// Hash course content (archive bytes, or every file of a course directory)
 /**
- * Process course files (extract and prepare for conversion)
- * @param {string[]} tarGzFiles - Array of .tar.gz file paths
- * @description Extracts each course file and prepares for conversion
- * @example
- * processCourses(['course1.tar.gz', 'course2.tar.gz']);
+ * Hash course content (archive bytes, or every file of a course directory)
+ * @param {string} coursePath - Course archive or course directory path
+ * @returns {Promise<string>} - Content hash, e.g. 'sha256:9f86d0...'
+ * @description Directory hashes cover relative paths and file bytes in sorted order, so they
+ * do not depend on modification times
  */
-async function processCourses(tarGzFiles) {
-    // Step 0: Input Files
-  console.log('Processing courses...');
-  
-  const extractedDirs = [];
-  const parsedSummaries = [];
-  const trees = [];
-  const conversionResults = [];
+async function computeContentHash(coursePath) {
+  const hash = crypto.createHash('sha256');
   
-  // Process each course file
-  for (let i = 0; i < tarGzFiles.length; i++) {
-    const file = tarGzFiles[i];
-    const fileName = path.basename(file, '.tar.gz');
-    
-    console.log(`Processing course ${i + 1}/${tarGzFiles.length}: ${fileName}`);
-    
-    try {
-      // Step 1: Extract
-      // Extract course file
-      const extractedDir = await extractCourse(file);
-      extractedDirs.push({ fileName, extractedDir });
-      
-      console.log(`Successfully extracted: ${fileName}`);
-      
-      // Step 2: Parse Structure
-      // Resolve course root and build course tree (parse structure)
-      const courseRoot = resolveCourseRoot(extractedDir);
-      const courseTree = buildCourseTree(courseRoot);
-      parsedSummaries.push({ fileName, title: courseTree.title, chapters: courseTree.chapters.length });
-      trees.push({ fileName, tree: courseTree });
-      
-      // Step 3: Convert to Markdown
-      // Transform course to Markdown
-      console.log(`Converting ${fileName} to LiaScript Markdown...`);
-      const markdownContent = transformCourseToMarkdown(courseTree, courseRoot);
-      
-      // Step 4: Generate Output Files
-      // Generate output files
-      const outputResult = await generateCourseOutput(fileName, markdownContent, courseRoot);
-      conversionResults.push({ fileName, ...outputResult });
-      
-      console.log(`Successfully converted: ${fileName}`);
-      
-    } catch (error) {
-      console.error(`Failed to process ${fileName}: ${error.message}`);
-      conversionResults.push({ 
-        fileName, 
-        success: false, 
-        error: error.message,
-        outputPath: null,
-        mediaCount: 0
-      });
+  if (fs.statSync(coursePath).isDirectory()) {
+    const files = [];
+    const collect = (dir) => {
+      for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+        const fullPath = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+          collect(fullPath);
+        } else if (entry.isFile()) {
+          files.push(fullPath);
+        }
+      }
+    };
+    collect(coursePath);
+    for (const file of files.sort()) {
+      hash.update(path.relative(coursePath, file).split(path.sep).join('/'));
+      hash.update('\0');
+      await hashFileInto(hash, file);
     }
+  } else {
+    await hashFileInto(hash, coursePath);
   }
   
-  // Step 5: Display Results
-  const successCount = conversionResults.filter(r => r.success).length;
-  const failCount = conversionResults.length - successCount;
-  console.log(`\nConversion completed: ${successCount} successful, ${failCount} failed`);
+  return `sha256:${hash.digest('hex')}`;
 }
 
-// ----------------------------------- Course Tree ------------------------------------
+// Stream a file into a hash
+function hashFileInto(hash, filePath) {
+  return new Promise((resolve, reject) => {
+    fs.createReadStream(filePath)
+      .on('data', chunk => hash.update(chunk))
+      .on('end', resolve)
+      .on('error', reject);
+  });
+}
 
-// Build course tree
+// Pick the options that affect generated output
 /**
- * Build course tree
- * @param {string} courseRoot - Course root directory path
- * @returns {Object} Course tree
+ * Pick the options that affect generated output
+ * @param {Object} runOptions - CLI options
+ * @returns {Object} - Output-affecting options with sorted keys
+ * @description --as-of is keyed by its exact instant, the one filterCourseTree compares start
+ * dates with; `--as-of now` is resolved once per run when the command line is parsed
  */
-function buildCourseTree(courseRoot) {
-  const meta = parseCourseXml(courseRoot);
-  const chapters = parseChapters(courseRoot, meta.chapterRefs);
-  return { id: meta.courseId, title: meta.title, chapters };
+function getCacheOptions(runOptions) {
+  return Object.fromEntries(OUTPUT_OPTIONS
+    .filter(key => runOptions[key] !== undefined)
+    .sort()
+    .map(key => [key, key === 'asOf' ? new Date(runOptions[key]).toISOString() : runOptions[key]]));
+}
+
+// Load the conversion manifest from the output directory
+/**
+ * Load the conversion manifest from the output directory
+ * @param {string} outputDir - Output directory
+ * @returns {Object} - Manifest as { converterVersion, courses: { [fileName]: entry } }
+ * @description A missing or unreadable manifest yields an empty one, so every course converts
+ */
+function loadManifest(outputDir) {
+  const manifestPath = path.join(outputDir, MANIFEST_FILE);
+  try {
+    const manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+    if (manifest && typeof manifest.courses === 'object') {
+      return manifest;
+    }
+  } catch (error) {
+    if (fs.existsSync(manifestPath) && options.verbose) {
+      console.warn(`Ignoring unreadable manifest ${manifestPath}: ${error.message}`);
+    }
+  }
+  return { converterVersion: CONVERTER_VERSION, courses: {} };
+}
+
+// Save the conversion manifest to the output directory
+function saveManifest(outputDir, manifest) {
+  const manifestPath = path.join(outputDir, MANIFEST_FILE);
+  const tmpPath = `${manifestPath}.${process.pid}.tmp`;
+  fs.mkdirSync(outputDir, { recursive: true });
+  fs.writeFileSync(tmpPath, JSON.stringify({ ...manifest, converterVersion: CONVERTER_VERSION }, null, 2), 'utf8');
+  fs.renameSync(tmpPath, manifestPath);
+}
+
+// Build a manifest entry for a converted course
+function createManifestEntry(job, results, cacheOptions) {
+  return {
+    source: job.file,
+    contentHash: job.contentHash,
+    converterVersion: CONVERTER_VERSION,
+    options: cacheOptions,
+    outputs: results.map(r => r.fileName),
+    convertedAt: new Date().toISOString()
+  };
+}
+
+// Record a course in the manifest when all of its course roots converted
+function recordManifestEntry(manifest, job, results, cacheOptions) {
+  if (job.contentHash && results.length > 0 && results.every(r => r.success)) {
+    manifest.courses[job.fileName] = createManifestEntry(job, results, cacheOptions);
+  } else {
+    delete manifest.courses[job.fileName];
+  }
+}
+
+// Check whether a manifest entry still describes the current input
+/**
+ * Check whether a manifest entry still describes the current input
+ * @param {Object} entry - Manifest entry (may be undefined)
+ * @param {string|null} contentHash - Current content hash
+ * @param {Object} cacheOptions - Current output-affecting options
+ * @returns {boolean} - True when content hash, converter version and options all match and
+ * the previous output still exists
+ */
+function isCourseUpToDate(entry, contentHash, cacheOptions) {
+  if (!entry || !contentHash) return false;
+  return entry.contentHash === contentHash &&
+    entry.converterVersion === CONVERTER_VERSION &&
+    JSON.stringify(entry.options) === JSON.stringify(cacheOptions) &&
+    Array.isArray(entry.outputs) && entry.outputs.length > 0 &&
+    entry.outputs.every(outputName => fs.existsSync(path.join(resolvedOutputPath, outputName, 'course.md')));
 }
 
 
@@ -1399,7 +4487,7 @@ async function generateCourseOutput(fileName, markdownContent, courseRoot) {
       console.log(`📝 Wrote course.md: ${markdownPath}`);
     }
     
-    const mediaCount = await processMediaFiles(courseRoot, mediaDir);
+    const mediaCount = await processMediaFiles(courseRoot, mediaDir, markdownContent);
     
     return {
       success: true,
@@ -1441,15 +4529,110 @@ function createOutputDirectory(outputPath) {
   }
 }
 
+// ----------------------------------- Stdout Output ------------------------------------
+
+// Stream converted output from the staging directory to stdout
+/**
+ * Stream converted output from the staging directory to stdout
+ * @param {Object[]} conversionResults - Results from processCourses
+ * @param {string} [format] - 'markdown' writes course.md alone, 'tar' writes each course folder with media/
+ * @param {stream.Writable} [output] - Destination stream, defaults to process.stdout
+ * @returns {Promise<void>}
+ * @throws {Error} When no course was converted, or markdown is requested for several courses
+ * @example
+ * await writeStdoutOutput(results, 'tar');
+ * Writes: course/course.md, course/media/diagram.png
+ */
+async function writeStdoutOutput(conversionResults, format = 'markdown', output = process.stdout) {
+  const converted = conversionResults.filter(result => result.success);
+  if (converted.length === 0) {
+    throw new Error('No course was converted; nothing written to stdout');
+  }
+  
+  let source;
+  if (format === 'tar') {
+    const courseFolders = converted.map(result => path.relative(resolvedOutputPath, result.outputPath));
+    source = tar.create({ cwd: resolvedOutputPath, portable: true }, courseFolders);
+  } else {
+    if (converted.length > 1) {
+      throw new Error(`Found ${converted.length} converted courses but stdout can carry only one course.md; use --stdout-format tar`);
+    }
+    source = fs.createReadStream(path.join(converted[0].outputPath, 'course.md'));
+  }
+  
+  // stdout must stay open, so pipe without ending it
+  await new Promise((resolve, reject) => {
+    source.on('error', reject);
+    source.on('end', resolve);
+    source.pipe(output, { end: false });
+  });
+}
+
+// ----------------------------------- Conversion Results ------------------------------------
+
+// Results file written to the output directory after every run
+const RESULTS_FILE = 'conversion-results.json';
+
+// Write the run's conversion results to the output directory
+/**
+ * Write the run's conversion results to the output directory
+ * @param {string} outputDir - Output directory
+ * @param {Object[]} conversionResults - Results from processCourses
+ * @returns {string} - Path to the results file
+ * @example
+ * writeConversionResults('/output', results);
+ * Returns: '/output/conversion-results.json'
+ */
+function writeConversionResults(outputDir, conversionResults) {
+  const resultsPath = path.join(outputDir, RESULTS_FILE);
+  const report = {
+    converterVersion: CONVERTER_VERSION,
+    input: resolvedInputPath,
+    output: outputDir,
+    finishedAt: new Date().toISOString(),
+    results: conversionResults
+  };
+  fs.mkdirSync(outputDir, { recursive: true });
+  fs.writeFileSync(resultsPath, JSON.stringify(report, null, 2), 'utf8');
+  return resultsPath;
+}
+
+// Read the course inputs that failed in a previous run
+/**
+ * Read the course inputs that failed in a previous run
+ * @param {string} resultsPath - Path to a conversion-results.json file
+ * @returns {string[]} - Unique archive and course directory paths that failed
+ * @throws {Error} When the results file is missing or malformed
+ * @example
+ * loadFailedCourses('/output/conversion-results.json');
+ * Returns: ['/input/course2.tar.gz']
+ */
+function loadFailedCourses(resultsPath) {
+  let report;
+  try {
+    report = JSON.parse(fs.readFileSync(resultsPath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Cannot read results file ${resultsPath}: ${error.message}`);
+  }
+  if (!report || !Array.isArray(report.results)) {
+    throw new Error(`Invalid results file ${resultsPath}: missing results array`);
+  }
+  
+  const failedSources = report.results
+    .filter(result => !result.success && result.source)
+    .map(result => result.source);
+  return [...new Set(failedSources)];
+}
+
 // Validate input and setup output directory
 /**
  * Validate input and setup output directory
- * @returns {string[]} - Array of .tar.gz file paths to process
+ * @returns {string[]} - Array of course archive and course directory paths to process
  * @description Validates input, creates output directory, and returns file list
  * @throws {Error} When validation fails
  * @example
  * const files = validateAndSetup();
- * Returns: ['course1.tar.gz', 'course2.tar.gz']
+ * Returns: ['course1.tar.gz', 'course2.zip']
  */
 function validateAndSetup() {
   // Validate input path
@@ -1461,11 +4644,19 @@ function validateAndSetup() {
   createOutputDirectory(resolvedOutputPath);
   
   // Get list of files to process
-  const tarGzFiles = getTarGzFiles(resolvedInputPath);
+  if (options.retryFailed) {
+    const failedCourses = loadFailedCourses(path.resolve(process.cwd(), options.retryFailed));
+    const missing = failedCourses.filter(file => !fs.existsSync(file));
+    missing.forEach(file => console.warn(`Skipping missing course input: ${file}`));
+    const retryFiles = failedCourses.filter(file => fs.existsSync(file));
+    console.log(`Retrying ${retryFiles.length} failed course(s) from ${options.retryFailed}`);
+    return retryFiles;
+  }
+  const courseFiles = getCourseFiles(resolvedInputPath);
   
-  console.log(`Found ${tarGzFiles.length} course(s) to process`);
+  console.log(`Found ${courseFiles.length} course(s) to process`);
   
-  return tarGzFiles;
+  return courseFiles;
 }
 
 // ----------------------------------- Media Processing ------------------------------------
@@ -1475,15 +4666,16 @@ function validateAndSetup() {
  * Process and copy media files
  * @param {string} courseRoot - Course root directory path
  * @param {string} mediaDir - Media output directory path
+ * @param {string} [markdownContent] - Generated course.md, for the documents it links to
  * @returns {number} - Number of media files processed
  * @description Copies media files from course to output directory
  * @example
  * const count = await processMediaFiles('/temp/course1', '/output/course1/media');
  * Returns: 5
  */
-async function processMediaFiles(courseRoot, mediaDir) {
+async function processMediaFiles(courseRoot, mediaDir, markdownContent = '') {
   try {
-    const mediaFiles = await findMediaFiles(courseRoot);
+    const mediaFiles = await findMediaFiles(courseRoot, markdownContent);
     
     let copiedCount = 0;
     for (const mediaFile of mediaFiles) {
@@ -1511,9 +4703,12 @@ async function processMediaFiles(courseRoot, mediaDir) {
 /**
  * Find all media files in the course
  * @param {string} courseRoot - 课程根目录
+ * @param {string} [markdownContent] - 生成的 course.md
  * @returns {Promise<Array>} 媒体文件信息数组
+ * @description Documents (PDFs of textbooks and handouts) are only copied when course.md links to
+ * them, under the name getMediaUrl gives them
  */
-async function findMediaFiles(courseRoot) {
+async function findMediaFiles(courseRoot, markdownContent = '') {
   const mediaFiles = [];
   const staticDir = path.join(courseRoot, 'static');
   
@@ -1522,6 +4717,7 @@ async function findMediaFiles(courseRoot) {
   }
   
   const mediaExtensions = ['.jpg', '.jpeg', '.png', '.gif', '.bmp', '.svg', '.mp4', '.avi', '.mov', '.wmv', '.webm'];
+  const documentExtensions = ['.pdf'];
   
   function scanDirectory(dir, relativePath = '') {
     const items = fs.readdirSync(dir);
@@ -1535,11 +4731,21 @@ async function findMediaFiles(courseRoot) {
         scanDirectory(fullPath, itemRelativePath);
       } else if (stat.isFile()) {
         const ext = path.extname(item).toLowerCase();
+        const documentName = sanitizeFileName(itemRelativePath.split(path.sep).join('/'));
         if (mediaExtensions.includes(ext)) {
           mediaFiles.push({
             fullPath,
             relativePath: itemRelativePath,
             fileName: item,
+            targetName: sanitizeFileName(item),
+            extension: ext
+          });
+        } else if (documentExtensions.includes(ext) && markdownContent.includes(`./media/${documentName}`)) {
+          mediaFiles.push({
+            fullPath,
+            relativePath: itemRelativePath,
+            fileName: item,
+            targetName: documentName,
             extension: ext
           });
         }
@@ -1558,7 +4764,7 @@ async function findMediaFiles(courseRoot) {
  * @param {string} targetDir - 目标目录
  */
 async function copyMediaFile(mediaFile, targetDir) {
-  const sanitizedName = sanitizeFileName(mediaFile.fileName);
+  const sanitizedName = mediaFile.targetName || sanitizeFileName(mediaFile.fileName);
   const targetPath = path.join(targetDir, sanitizedName);
   
   fs.mkdirSync(path.dirname(targetPath), { recursive: true });
@@ -1639,37 +4845,140 @@ function transformCourseToMarkdown(courseTree, courseRoot) {
     throw new Error('Course root directory is required');
   }
   
+  const header = ['---', 'author: Course Converter', 'email: converter@example.com', '---', ''];
   const lines = [];
   
-  lines.push('---');
-  lines.push('author: Course Converter');
-  lines.push('email: converter@example.com');
-  lines.push('---');
-  lines.push('');
-  
   lines.push(`# ${courseTree.title}\n`);
   
+  const landing = renderCourseLanding(courseTree.about);
+  if (landing) {
+    lines.push(landing);
+  }
+  
+  const announcements = renderAnnouncements(courseTree.info);
+  if (announcements && courseTree.info.placement !== 'appendix') {
+    lines.push(announcements);
+  }
 
   
   courseTree.chapters.forEach((chapter, chapterIndex) => {
-    lines.push(transformNodeToMarkdown(chapter, chapterIndex + 1, courseRoot, 1));
+    if (Array.isArray(chapter.children)) {
+      lines.push(transformNodeToMarkdown(chapter, chapterIndex + 1, courseRoot, 1));
+    } else {
+      lines.push(transformComponentToMarkdown(chapter, chapterIndex + 1, courseRoot));
+    }
   });
   
+  if (announcements && courseTree.info.placement === 'appendix') {
+    lines.push(announcements);
+  }
+  
+  toArray(courseTree.tabs).forEach(tab => lines.push(renderStaticTab(tab)));
+  
+  const readingList = renderReadingList(courseTree.textbooks);
+  if (readingList) {
+    lines.push(readingList);
+  }
+  
+  const gradingOverview = renderGradingOverview(courseTree);
+  if (gradingOverview) {
+    lines.push(gradingOverview);
+  }
+  
   lines.push('\n---\n');
   lines.push('*Course conversion completed*\n');
   
-  return lines.join('\n');
+  // Formula quizzes share one checker, defined in the header
+  const body = lines.join('\n');
+  if (body.includes(FORMULA_CHECK_CALL)) {
+    header.push(renderFormulaChecker(), '');
+  }
+  return [...header, body].join('\n');
 }
 
 // ----------------------------------- transformNodeToMarkdown ------------------------------------
 
+// Containers up to this depth get a heading; deeper ones stay on their section's slide
+const SECTION_HEADING_DEPTH = 2;
+
+// Note placed before unpublished content merged from drafts/
+function renderUnpublishedNote(title) {
+  return `> **Unpublished:** ${title}\n`;
+}
+
+// Format a grade fraction as a percentage, e.g. 0.15 -> '15%'
+function formatPercent(fraction) {
+  return `${Math.round(fraction * 1000) / 10}%`;
+}
+
+// Badge appended to the heading of a graded subsection
+/**
+ * Badge appended to the heading of a graded subsection
+ * @param {Object} grading - { type, shortLabel, weight } from getAssignmentGrading
+ * @returns {string} - Inline badge
+ * @example
+ * renderGradingBadge({ type: 'Homework', shortLabel: 'HW', weight: 0.15 });
+ * Returns: '`Graded: Homework · 15%`'
+ */
+function renderGradingBadge(grading) {
+  const weight = grading.weight === null ? '' : ` · ${formatPercent(grading.weight)}`;
+  return `\`Graded: ${grading.type}${weight}\``;
+}
+
+// Render the grading overview section from grading_policy.json
+/**
+ * Render the grading overview section from grading_policy.json
+ * @param {Object} courseTree - Course tree with gradingPolicy
+ * @returns {string} - Markdown section, or '' when the course has no grading policy
+ * @description Lists assignment types with weights and drop rules, the grade cutoffs, and the
+ * graded subsections that remain in the (filtered) tree.
+ */
+function renderGradingOverview(courseTree) {
+  const gradingPolicy = courseTree.gradingPolicy;
+  if (!gradingPolicy || gradingPolicy.graders.length === 0) {
+    return '';
+  }
+  
+  const lines = ['## Grading\n'];
+  lines.push('| Assignment type | Weight | Counted |');
+  lines.push('| --- | --- | --- |');
+  for (const grader of gradingPolicy.graders) {
+    const label = grader.shortLabel && grader.shortLabel !== grader.type ? `${grader.type} (${grader.shortLabel})` : grader.type;
+    const dropped = grader.dropCount > 0 ? `, lowest ${grader.dropCount} dropped` : '';
+    lines.push(`| ${label} | ${formatPercent(grader.weight)} | ${grader.minCount}${dropped} |`);
+  }
+  lines.push('');
+  
+  const cutoffs = Object.entries(gradingPolicy.cutoffs)
+    .sort(([, a], [, b]) => b - a)
+    .map(([grade, minimum]) => `${grade} from ${formatPercent(minimum)}`);
+  if (cutoffs.length > 0) {
+    lines.push(`**Grade cutoffs:** ${cutoffs.join(', ')}\n`);
+  }
+  
+  const gradedSections = [];
+  const collectGraded = nodes => nodes.forEach(node => {
+    if (node.grading) gradedSections.push(node);
+    if (Array.isArray(node.children)) collectGraded(node.children);
+  });
+  collectGraded(courseTree.chapters);
+  if (gradedSections.length > 0) {
+    lines.push('**Graded sections:**\n');
+    gradedSections.forEach(node => lines.push(`- ${node.title}: ${renderGradingBadge(node.grading)}`));
+    lines.push('');
+  }
+  
+  return lines.join('\n');
+}
+
 // Recursively transform course structure to Markdown
 /**
  * Recursively transform course structure to Markdown
- * @param {Object} node - Course structure node (chapter/sequential/vertical)
+ * @param {Object} node - Course structure container (chapter/sequential/vertical at any depth)
  * @param {number} nodeNumber - Node number
  * @param {string} courseRoot - Course root directory path
- * @param {number} level - Current nesting level (1=chapter, 2=sequential, 3=vertical)
+ * @param {number} level - Current nesting depth (1 = top-level container)
+ * @param {boolean} [inDraft] - Whether an enclosing container is already marked unpublished
  * @returns {string} - Markdown content
  * @description Converts course structure nodes to Markdown format using recursion
  * @throws {Error} When node structure is invalid
@@ -1677,44 +4986,33 @@ function transformCourseToMarkdown(courseTree, courseRoot) {
  * const markdown = transformNodeToMarkdown(chapter, 1, '/temp/course1', 1);
  * Returns: "## 1. Chapter Title\n\n**Chapter ID:** chapter1\n\n..."
  */
-function transformNodeToMarkdown(node, nodeNumber, courseRoot, level = 1) { //1=chapter, 2=sequential, 3=vertical
+function transformNodeToMarkdown(node, nodeNumber, courseRoot, level = 1, inDraft = false) {
   if (!node || !node.title || !node.id) {
     throw new Error('Invalid node: title and id are required');
   }
   
   const lines = [];
+  // Mark only the outermost unpublished node
+  const markUnpublished = Boolean(node.unpublished) && !inDraft;
   
-  const titlePrefix = '#'.repeat(level + 1); // ## for chapter, ### for sequential, #### for vertical
-  const childrenKey = ['', 'sequentials', 'verticals', 'components'][level] || 'children';
-  
-  if (level <= 2) {
-    lines.push(`${titlePrefix} ${node.title}\n`);
-  }
-  
-  if (level < 3) {
-    node[childrenKey].forEach((child, childIndex) => {
-      lines.push(transformNodeToMarkdown(child, childIndex + 1, courseRoot, level + 1));
-    });
+  // ## for depth 1, ### for depth 2; deeper containers flow into that section
+  const badge = node.grading ? ` ${renderGradingBadge(node.grading)}` : '';
+  if (level <= SECTION_HEADING_DEPTH) {
+    lines.push(`${'#'.repeat(level + 1)} ${node.title}${markUnpublished ? ' (unpublished)' : ''}${badge}\n`);
   } else {
-    node.components.forEach((component, componentIndex) => {
-      try {
-        const componentIR = parseComponent(courseRoot, component);
-        
-        const componentMarkdown = renderComponent(componentIR);
-        
-        lines.push(componentMarkdown);
-        
-      } catch (error) {
-        if (options.verbose) {
-          console.warn(`⚠️ Failed to process component ${component.kind} (${component.id}): ${error.message}`);
-        }
-        
-        lines.push(`#### Learning Content ${componentIndex + 1}\n`);
-        lines.push(`*Content temporarily unavailable: ${error.message}*\n\n---\n`);
-      }
-    });
+    if (markUnpublished) lines.push(renderUnpublishedNote(node.title));
+    if (badge) lines.push(`${badge.trim()}\n`);
   }
   
+  const childInDraft = inDraft || Boolean(node.unpublished);
+  (node.children || []).forEach((child, childIndex) => {
+    if (Array.isArray(child.children)) {
+      lines.push(transformNodeToMarkdown(child, childIndex + 1, courseRoot, level + 1, childInDraft));
+    } else {
+      lines.push(transformComponentToMarkdown(child, childIndex + 1, courseRoot, childInDraft));
+    }
+  });
+  
   if (level === 1) {
     lines.push('\n---\n');
   }
@@ -1722,6 +5020,39 @@ function transformNodeToMarkdown(node, nodeNumber, courseRoot, level = 1) { //1=
   return lines.join('\n');
 }
 
+// Parse and render one component, with a placeholder when it cannot be converted
+/**
+ * Parse and render one component, with a placeholder when it cannot be converted
+ * @param {Object} component - Component reference from the course tree
+ * @param {number} componentNumber - Position within its container
+ * @param {string} courseRoot - Course root directory path
+ * @param {boolean} [inDraft] - Whether an enclosing container is already marked unpublished
+ * @returns {string} - Markdown content
+ */
+function transformComponentToMarkdown(component, componentNumber, courseRoot, inDraft = false) {
+  try {
+    // Draft components are read from drafts/, which mirrors the course root layout
+    const componentRoot = component.unpublished ? path.join(courseRoot, DRAFTS_DIR) : courseRoot;
+    const componentIR = parseComponent(componentRoot, component);
+    if (component.attributes && component.attributes.display_name) {
+      componentIR.displayName = component.attributes.display_name;
+    }
+    const markdown = renderComponent(componentIR);
+    if (component.unpublished && !inDraft) {
+      return `${renderUnpublishedNote(componentIR.displayName || component.id)}\n${markdown}`;
+    }
+    return markdown;
+  } catch (error) {
+    if (options.verbose) {
+      console.warn(`⚠️ Failed to process component ${component.kind} (${component.id}): ${error.message}`);
+    }
+    return [
+      `#### Learning Content ${componentNumber}\n`,
+      `*Content temporarily unavailable: ${error.message}*\n\n---\n`
+    ].join('\n');
+  }
+}
+
 
 // ================================================================================================
 // =================================== Main Function =============================================
@@ -1740,67 +5071,159 @@ async function main() {
     // Display configuration
     displayConfiguration();
     
+    if (options.watch && (resolvedInputPath === STDIO_PATH || stdoutOutput)) {
+      throw new Error('--watch cannot be combined with stdin input or stdout output');
+    }
+    
+    // Stage stdout output in the temp workspace; it is streamed out after conversion
+    if (stdoutOutput) {
+      resolvedOutputPath = fs.mkdtempSync(path.join(prepareTempRoot(), 'stdout-'));
+    }
+    
     // Validate input and setup output
-    const tarGzFiles = validateAndSetup();
+    let courseFiles;
+    if (resolvedInputPath === STDIO_PATH) {
+      createOutputDirectory(resolvedOutputPath);
+      courseFiles = [await readStdinArchive()];
+    } else {
+      courseFiles = validateAndSetup();
+    }
     
     // ==================== Execute Complete Flow: Steps 1-5 ====================
     // Process courses
-    await processCourses(tarGzFiles);
+    const conversionResults = await processCourses(courseFiles);
     
-
+    if (stdoutOutput) {
+      await writeStdoutOutput(conversionResults, options.stdoutFormat);
+    }
+    
+    // Watch mode keeps running; the temp workspace is removed on SIGINT/SIGTERM
+    if (options.watch) {
+      watchCourses(resolvedInputPath);
+      return;
+    }
+    
+    // Remove the temp workspace (or report where it was kept)
+    cleanupTempRoot();
     
   } catch (error) {
     console.error(`Fatal error: ${error.message}`);
     if (options.verbose) {
       console.error(error.stack);
     }
+    cleanupTempRoot();
     process.exit(1);
   }
 }
 
 // Run main function only if not imported as module
-if (import.meta.url === `file://${process.argv[1]}`) {
+if (isMainScript) {
   main();
 }
 
+// Serve courses to the parent thread when started as a conversion worker
+if (!isMainThread && workerData && workerData.courseWorker) {
+  runCourseWorker();
+}
+
 // Export functions for testing (only when imported as module)
 export {
   // XML utilities
   createXmlParser,
   readXmlAsObject,
   toArray,
+  createProblemParser,
+  serializeOrderedXml,
   
   // File utilities
   getFileInfo,
   validateInputPath,
-  getTarGzFiles,
+  getCourseFiles,
+  getCourseFiles as getTarGzFiles, // name before zip archives and course folders were accepted
+  getCourseName,
+  getCourseOutputName,
+  matchesCourseFilters,
+  scanCourseInputs,
+  detectArchiveFormat,
+  detectArchiveMagic,
+  isCourseDirectory,
+  findWrappedCourseDir,
   prepareTempRoot,
+  cleanupTempRoot,
+  isTempPath,
   
   // Course processing
   extractCourse,
+  listArchiveEntries,
+  validateArchiveEntries,
+  getExtractionLimits,
+  parseSizeOption,
+  parseCountOption,
+  parseSecondsOption,
+  parseAnnouncementsOption,
+  parseStdoutFormat,
+  parseAudienceOption,
+  parseDateOption,
+  readStdinArchive,
   resolveCourseRoot,
+  resolveCourseRoots,
+  findCourseRoots,
+  isCourseRootXml,
   parseCourseXml,
   parseChapters,
   parseSequentials,
   parseVerticals,
   collectComponentRefs,
+  collectChildRefs,
+  isPointerNode,
+  parseContainer,
+  parseContainerChildren,
+  loadDrafts,
+  loadCoursePolicy,
+  loadGradingPolicy,
+  getAssignmentGrading,
+  renderGradingBadge,
+  renderGradingOverview,
+  parseParentUrl,
+  pruneToDrafts,
+  readNodeAttributes,
+  filterCourseTree,
   buildCourseTree,
   
   // Component parsing
   parseHtmlComponent,
+  resolveHtmlContent,
   parseProblemComponent,
   parseVideoComponent,
   parseAboutComponent,
+  parseAboutPages,
+  parseCourseUpdates,
+  parseCourseInfo,
+  getMediaUrl,
+  parseStaticTabs,
+  parseTextbooks,
   parseComponent,
   
   // Component rendering  
+  htmlToMarkdown,
   renderHtmlContent,
   renderProblemComponent,
+  renderProblemBody,
   renderMultipleChoiceProblem,
   renderSelectionProblem,
   renderChoiceProblem,
   renderTextInputProblem,
   renderNumberInputProblem,
+  parseNumericalAnswer,
+  renderNumericalQuiz,
+  parseStringResponseType,
+  renderTextQuiz,
+  renderFormulaProblem,
+  evaluateFormula,
+  checkFormulaAnswer,
+  parseFormulaSamples,
+  renderFormulaQuiz,
+  renderFormulaChecker,
 
   renderUnsupportedProblem,
   renderVideoComponent,
@@ -1810,10 +5233,15 @@ export {
   renderAboutComponent,
   renderAboutHtml,
   renderUnknownAbout,
+  renderCourseLanding,
+  renderAnnouncements,
+  renderStaticTab,
+  renderReadingList,
   renderComponent,
   
   // Type detection
   determineProblemType,
+  getProblemParts,
   determineVideoType,
   
   // Hints processing
@@ -1829,12 +5257,33 @@ export {
   // Course transformation
   transformCourseToMarkdown,
   transformNodeToMarkdown,
+  transformComponentToMarkdown,
   
   // Output generation
   generateCourseOutput,
   
+  // Conversion cache
+  computeContentHash,
+  getCacheOptions,
+  loadManifest,
+  saveManifest,
+  isCourseUpToDate,
+  
+  // Stdout output
+  writeStdoutOutput,
+  
+  // Conversion results
+  writeConversionResults,
+  loadFailedCourses,
+  
   // Main functions
   processCourses,
+  convertCourseFile,
+  processCoursesInWorkers,
+  captureConsole,
+  watchCourses,
+  findCourseForPath,
+  reconvertWatchedCourse,
   validateAndSetup,
   createOutputDirectory,
   displayConfiguration,
@@ -1,5 +1,9 @@
 import fs from 'fs';
+import os from 'os';
+import { spawn, spawnSync } from 'child_process';
 import path from 'path';
+import AdmZip from 'adm-zip';
+import * as tar from 'tar';
 import {
   // XML utilities
   createXmlParser,
@@ -26,10 +30,92 @@ import {
   
   // Course structure
   parseCourseXml,
+  parseChapters,
+  parseSequentials,
+  parseVerticals,
   buildCourseTree,
-  transformCourseToMarkdown
+  transformCourseToMarkdown,
+
+  // Input formats
+  getFileInfo,
+  getCourseFiles,
+  getTarGzFiles,
+  getCourseName,
+  getCourseOutputName,
+  matchesCourseFilters,
+  detectArchiveFormat,
+  extractCourse,
+  resolveCourseRoot,
+  resolveCourseRoots,
+  validateArchiveEntries,
+  listArchiveEntries,
+  parseSizeOption,
+  prepareTempRoot,
+  cleanupTempRoot,
+  isTempPath,
+  captureConsole,
+  computeContentHash,
+  getCacheOptions,
+  isCourseUpToDate,
+  findCourseForPath,
+  loadFailedCourses,
+  parseStdoutFormat,
+  collectComponentRefs,
+  collectChildRefs,
+  isPointerNode,
+  parseContainer,
+  loadDrafts,
+  parseParentUrl,
+  pruneToDrafts,
+  readNodeAttributes,
+  filterCourseTree,
+  parseAudienceOption,
+  parseDateOption,
+  loadCoursePolicy,
+  loadGradingPolicy,
+  getAssignmentGrading,
+  parseAboutComponent,
+  parseAboutPages,
+  renderCourseLanding,
+  parseAnnouncementsOption,
+  parseCourseUpdates,
+  parseCourseInfo,
+  renderAnnouncements,
+  getMediaUrl,
+  parseStaticTabs,
+  parseTextbooks,
+  renderStaticTab,
+  renderReadingList,
+  renderProblemBody,
+  serializeOrderedXml,
+  createProblemParser,
+  parseNumericalAnswer,
+  renderNumericalQuiz,
+  parseStringResponseType,
+  renderTextQuiz,
+  evaluateFormula,
+  checkFormulaAnswer,
+  parseFormulaSamples,
+  renderFormulaQuiz,
+  renderFormulaChecker,
+  getProblemParts
 } from '../courseconverter.js';
 
+// Write a minimal OLX course into dir
+function writeMinimalCourse(dir, title = 'Minimal Course') {
+  fs.mkdirSync(path.join(dir, 'course'), { recursive: true });
+  fs.writeFileSync(path.join(dir, 'course.xml'), '<course url_name="run1" org="ORG" course="MIN"/>');
+  fs.writeFileSync(path.join(dir, 'course', 'run1.xml'), `<course display_name="${title}"></course>`);
+}
+
+// Fill in a quiz script's answer the way LiaScript does: @'input is the answer escaped for a
+// string or template literal, @input the answer as typed
+function fillQuizInput(script, input) {
+  const escaped = [['\\', '\\\\'], ['"', '\\"'], ["'", "\\'"], ['`', '\\`'], ['\n', '\\n'], ['\t', '\\t'], ['${', '\\${']]
+    .reduce((text, [from, to]) => text.split(from).join(to), input);
+  return script.replace(/@'input/g, () => escaped).replace(/@input/g, () => input);
+}
+
 describe('Course Converter - Core Requirements Tests', () => {
   let tempDir;
 
@@ -269,9 +355,9 @@ describe('Course Converter - Core Requirements Tests', () => {
       expect(courseTree.title).toBe('Introduction to Programming');
       expect(courseTree.chapters).toHaveLength(1);
       expect(courseTree.chapters[0].title).toBe('Getting Started');
-      expect(courseTree.chapters[0].sequentials).toHaveLength(1);
-      expect(courseTree.chapters[0].sequentials[0].title).toBe('Basic Concepts');
-      expect(courseTree.chapters[0].sequentials[0].verticals).toHaveLength(1);
+      expect(courseTree.chapters[0].children).toHaveLength(1);
+      expect(courseTree.chapters[0].children[0].title).toBe('Basic Concepts');
+      expect(courseTree.chapters[0].children[0].children).toHaveLength(1);
       
       // Transform to Markdown
       const markdownResult = transformCourseToMarkdown(courseTree, tempDir);
@@ -564,7 +650,7 @@ describe('Course Converter - Core Requirements Tests', () => {
       
       expect(result).toContain('What is 25 + 17?');
       expect(result).toContain('Enter your answer:');
-      expect(result).toContain('[[Enter a number]]');
+      expect(result).toContain('    [[42]]\n    <script>');
     });
 
     it('should render number input problem with hints', () => {
@@ -595,7 +681,7 @@ describe('Course Converter - Core Requirements Tests', () => {
       
       const result = renderNumberInputProblem(content, 'Simple Number');
       
-      expect(result).toContain('[[Enter a number]]');
+      expect(result).toContain('[[100]]');
     });
   });
 
@@ -706,4 +792,1673 @@ describe('Course Converter - Core Requirements Tests', () => {
       expect(typeof result).toBe('string');
     });
   });
-});
\ No newline at end of file
+
+  // ============================================================================
+  // Additional Feature Tests - Input Formats
+  // ============================================================================
+  describe('Input Formats', () => {
+    it('should detect archive formats by magic bytes and extension', () => {
+      const gzPath = path.join(tempDir, 'export.bin');
+      fs.writeFileSync(gzPath, Buffer.from([0x1f, 0x8b, 0x08, 0x00]));
+      const zipPath = path.join(tempDir, 'export.dat');
+      fs.writeFileSync(zipPath, Buffer.from([0x50, 0x4b, 0x03, 0x04, 0x00]));
+      const tgzPath = path.join(tempDir, 'empty.tgz');
+      fs.writeFileSync(tgzPath, '');
+      const textPath = path.join(tempDir, 'notes.txt');
+      fs.writeFileSync(textPath, 'not an archive');
+
+      expect(detectArchiveFormat(gzPath)).toBe('tar.gz');
+      expect(detectArchiveFormat(zipPath)).toBe('zip');
+      expect(detectArchiveFormat(tgzPath)).toBe('tar.gz');
+      expect(detectArchiveFormat(textPath)).toBeNull();
+    });
+
+    it('should strip any supported archive extension from the course name', () => {
+      expect(getCourseName('/in/course1.tar.gz')).toBe('course1');
+      expect(getCourseName('/in/course2.tgz')).toBe('course2');
+      expect(getCourseName('/in/course3.tar')).toBe('course3');
+      expect(getCourseName('/in/course4.zip')).toBe('course4');
+      expect(getCourseName('/in/course5')).toBe('course5');
+    });
+
+    it('should list archives and extracted course directories in an input folder', () => {
+      writeMinimalCourse(path.join(tempDir, 'unpacked'));
+      fs.mkdirSync(path.join(tempDir, 'not-a-course'));
+      fs.writeFileSync(path.join(tempDir, 'course.zip'), Buffer.from([0x50, 0x4b, 0x03, 0x04]));
+      fs.writeFileSync(path.join(tempDir, 'README.md'), '# readme');
+
+      const result = getFileInfo(tempDir);
+      const names = result.files.map(file => path.basename(file)).sort();
+
+      expect(names).toEqual(['course.zip', 'unpacked']);
+      expect(getCourseFiles(tempDir)).toEqual(result.files);
+      expect(getTarGzFiles).toBe(getCourseFiles);
+    });
+
+    it('should accept an extracted course directory as a single input', () => {
+      writeMinimalCourse(tempDir);
+      const result = getFileInfo(tempDir);
+      expect(result.files).toEqual([tempDir]);
+    });
+
+    it('should extract zip and tar archives to a course root', async () => {
+      const sourceDir = path.join(tempDir, 'src');
+      writeMinimalCourse(path.join(sourceDir, 'course'), 'Archived Course');
+
+      const zip = new AdmZip();
+      zip.addLocalFolder(path.join(sourceDir, 'course'), 'course');
+      const zipPath = path.join(tempDir, 'zipped.zip');
+      zip.writeZip(zipPath);
+
+      const tarPath = path.join(tempDir, 'plain.tar');
+      await tar.create({ file: tarPath, cwd: sourceDir }, ['course']);
+
+      for (const archive of [zipPath, tarPath]) {
+        const extractedDir = await extractCourse(archive);
+        const tree = buildCourseTree(resolveCourseRoot(extractedDir));
+        expect(tree.title).toBe('Archived Course');
+        global.cleanupTempDir(extractedDir);
+      }
+    });
+  });
+
+  // ============================================================================
+  // Additional Feature Tests - Recursive Discovery
+  // ============================================================================
+  describe('Recursive Course Discovery', () => {
+    const writeArchive = (relativePath) => {
+      const fullPath = path.join(tempDir, relativePath);
+      fs.mkdirSync(path.dirname(fullPath), { recursive: true });
+      fs.writeFileSync(fullPath, Buffer.from([0x1f, 0x8b, 0x08, 0x00]));
+      return fullPath;
+    };
+
+    it('should only find nested courses in recursive mode', () => {
+      writeArchive('top.tar.gz');
+      writeArchive('science/2025/physics.tar.gz');
+      writeMinimalCourse(path.join(tempDir, 'arts', 'history-olx'));
+      fs.writeFileSync(path.join(tempDir, 'arts', 'notes.txt'), 'not a course');
+
+      const flat = getFileInfo(tempDir, { recursive: false });
+      expect(flat.files.map(file => path.relative(tempDir, file))).toEqual(['top.tar.gz']);
+
+      const deep = getFileInfo(tempDir, { recursive: true });
+      expect(deep.files.map(file => path.relative(tempDir, file)).sort()).toEqual([
+        path.join('arts', 'history-olx'),
+        path.join('science', '2025', 'physics.tar.gz'),
+        'top.tar.gz'
+      ]);
+    });
+
+    it('should apply include and exclude globs to relative paths', () => {
+      expect(matchesCourseFilters('science/2025/physics.tar.gz', ['science/**'], [])).toBe(true);
+      expect(matchesCourseFilters('arts/2025/history.zip', ['science/**'], [])).toBe(false);
+      expect(matchesCourseFilters('science/2025/draft-physics.tar.gz', [], ['draft-*'])).toBe(false);
+      expect(matchesCourseFilters('science/2025/physics.tar.gz', [], ['draft-*'])).toBe(true);
+
+      writeArchive('science/2025/physics.tar.gz');
+      writeArchive('science/2025/draft-chemistry.tar.gz');
+      writeArchive('arts/2025/history.zip');
+      const result = getFileInfo(tempDir, { recursive: true, include: ['science/**'], exclude: ['draft-*'] });
+      expect(result.files.map(file => path.relative(tempDir, file))).toEqual([path.join('science', '2025', 'physics.tar.gz')]);
+    });
+
+    it('should mirror the input folder structure in output names', () => {
+      const nested = path.join(tempDir, 'science', '2025', 'intro.tgz');
+      expect(getCourseOutputName(nested, tempDir)).toBe(path.join('science', '2025', 'intro'));
+      expect(getCourseOutputName(path.join(tempDir, 'intro.zip'), tempDir)).toBe('intro');
+      expect(getCourseOutputName(nested, nested)).toBe('intro');
+    });
+  });
+
+  // ============================================================================
+  // Additional Feature Tests - Course Root Detection
+  // ============================================================================
+  describe('Course Root Detection', () => {
+    it('should find a course root without a wrapper folder', () => {
+      writeMinimalCourse(tempDir);
+      expect(resolveCourseRoots(tempDir)).toEqual([tempDir]);
+    });
+
+    it('should find a course root under two wrapper folders and ignore __MACOSX', () => {
+      const root = path.join(tempDir, 'export', 'course');
+      writeMinimalCourse(root);
+      fs.mkdirSync(path.join(tempDir, '__MACOSX', 'export', 'course'), { recursive: true });
+      fs.writeFileSync(path.join(tempDir, '__MACOSX', 'export', 'course', 'course.xml'), '<course url_name="junk"/>');
+
+      expect(resolveCourseRoot(tempDir)).toBe(root);
+    });
+
+    it('should ignore course.xml files without url_name', () => {
+      fs.mkdirSync(path.join(tempDir, 'notes'));
+      fs.writeFileSync(path.join(tempDir, 'notes', 'course.xml'), '<course display_name="Not a root"/>');
+
+      expect(() => resolveCourseRoots(tempDir)).toThrow(/No OLX course root found/);
+    });
+
+    it('should report every course root in a multi-course archive', () => {
+      writeMinimalCourse(path.join(tempDir, 'courseA'), 'Course A');
+      writeMinimalCourse(path.join(tempDir, 'courseB'), 'Course B');
+
+      const roots = resolveCourseRoots(tempDir);
+      expect(roots.map(root => path.basename(root))).toEqual(['courseA', 'courseB']);
+      expect(roots.map(root => buildCourseTree(root).title)).toEqual(['Course A', 'Course B']);
+      expect(() => resolveCourseRoot(tempDir)).toThrow(/Found 2 course roots/);
+    });
+  });
+
+  // ============================================================================
+  // Additional Feature Tests - Hardened Extraction
+  // ============================================================================
+  describe('Hardened Archive Extraction', () => {
+    const limits = { maxArchiveSize: 1024, maxEntries: 3 };
+    const file = (entryPath, size = 10) => ({ path: entryPath, type: 'file', size });
+
+    it('should accept entries that stay inside the extraction directory', () => {
+      const entries = [
+        { path: 'course/', type: 'directory', size: 0 },
+        file('course/course.xml'),
+        { path: 'course/static/logo.png', type: 'symlink', size: 0, linkpath: '../images/logo.png' }
+      ];
+      expect(() => validateArchiveEntries(entries, tempDir, limits)).not.toThrow();
+    });
+
+    it('should refuse path traversal and absolute entries', () => {
+      expect(() => validateArchiveEntries([file('../evil.sh')], tempDir, limits)).toThrow(/outside extraction directory/);
+      expect(() => validateArchiveEntries([file('course/../../evil.sh')], tempDir, limits)).toThrow(/outside extraction directory/);
+      expect(() => validateArchiveEntries([file('/etc/cron.d/evil')], tempDir, limits)).toThrow(/outside extraction directory/);
+    });
+
+    it('should refuse symlinks and hard links that escape the extraction directory', () => {
+      const symlink = { path: 'course/link', type: 'symlink', size: 0, linkpath: '/etc/passwd' };
+      const relativeSymlink = { path: 'course/link', type: 'symlink', size: 0, linkpath: '../../secret' };
+      const hardlink = { path: 'course/hard', type: 'hardlink', size: 0, linkpath: '../secret' };
+
+      expect(() => validateArchiveEntries([symlink], tempDir, limits)).toThrow(/symlink escaping/);
+      expect(() => validateArchiveEntries([relativeSymlink], tempDir, limits)).toThrow(/symlink escaping/);
+      expect(() => validateArchiveEntries([hardlink], tempDir, limits)).toThrow(/hardlink escaping/);
+    });
+
+    it('should enforce entry count and total size limits', () => {
+      const tooMany = [file('a'), file('b'), file('c'), file('d')];
+      expect(() => validateArchiveEntries(tooMany, tempDir, limits)).toThrow(/exceeding --max-entries 3/);
+      expect(() => validateArchiveEntries([file('big', 2048)], tempDir, limits)).toThrow(/--max-archive-size/);
+    });
+
+    it('should parse human-readable archive sizes', () => {
+      expect(parseSizeOption('1024')).toBe(1024);
+      expect(parseSizeOption('500KB')).toBe(500 * 1024);
+      expect(parseSizeOption('2gb')).toBe(2 * 1024 ** 3);
+      expect(() => parseSizeOption('lots')).toThrow();
+    });
+
+    it('should refuse a real archive containing an escaping symlink', async () => {
+      const sourceDir = path.join(tempDir, 'src');
+      writeMinimalCourse(path.join(sourceDir, 'course'));
+      fs.symlinkSync('/etc/passwd', path.join(sourceDir, 'course', 'passwd'));
+      const archive = path.join(tempDir, 'symlinked.tar.gz');
+      await tar.create({ file: archive, cwd: sourceDir, gzip: true }, ['course']);
+
+      await expect(extractCourse(archive)).rejects.toThrow(/symlink escaping extraction directory/);
+    });
+
+    it('should list zip entries and symlink targets without extracting', async () => {
+      const zip = new AdmZip();
+      zip.addFile('course/', Buffer.alloc(0));
+      zip.addFile('course/course.xml', Buffer.from('<course/>'));
+      zip.addFile('course/passwd', Buffer.from('/etc/passwd'));
+      zip.getEntry('course/passwd').attr = (0o120777 << 16) >>> 0;
+      const archive = path.join(tempDir, 'symlinked.zip');
+      zip.writeZip(archive);
+
+      expect(await listArchiveEntries(archive, 'zip')).toEqual([
+        { path: 'course/', type: 'directory', size: 0 },
+        { path: 'course/course.xml', type: 'file', size: 9 },
+        { path: 'course/passwd', type: 'symlink', size: 11, linkpath: '/etc/passwd' }
+      ]);
+      await expect(extractCourse(archive)).rejects.toThrow(/symlink escaping extraction directory/);
+    });
+  });
+
+  // ============================================================================
+  // Additional Feature Tests - Temp Workspace
+  // ============================================================================
+  describe('Per-run Temp Workspace', () => {
+    it('should create a unique workspace under the OS temp dir', () => {
+      const workspace = prepareTempRoot();
+      expect(path.dirname(workspace)).toBe(os.tmpdir());
+      expect(path.basename(workspace)).toMatch(/^courseconverter-/);
+      expect(workspace).not.toBe(path.join(process.cwd(), 'temp'));
+      expect(prepareTempRoot()).toBe(workspace);
+    });
+
+    it('should extract same-named archives into separate directories and clean up the workspace', async () => {
+      const sourceDir = path.join(tempDir, 'src');
+      writeMinimalCourse(path.join(sourceDir, 'course'));
+      fs.mkdirSync(path.join(tempDir, 'a'));
+      fs.mkdirSync(path.join(tempDir, 'b'));
+      await tar.create({ file: path.join(tempDir, 'a', 'intro.tar.gz'), cwd: sourceDir, gzip: true }, ['course']);
+      await tar.create({ file: path.join(tempDir, 'b', 'intro.tar.gz'), cwd: sourceDir, gzip: true }, ['course']);
+
+      const first = await extractCourse(path.join(tempDir, 'a', 'intro.tar.gz'));
+      const second = await extractCourse(path.join(tempDir, 'b', 'intro.tar.gz'));
+      expect(first).not.toBe(second);
+      expect(isTempPath(first)).toBe(true);
+      expect(fs.existsSync(path.join(first, 'course', 'course.xml'))).toBe(true);
+
+      const workspace = prepareTempRoot();
+      cleanupTempRoot();
+      expect(fs.existsSync(workspace)).toBe(false);
+    });
+
+    it('should keep a failed extraction with --keep-temp', () => {
+      const inputDir = path.join(tempDir, 'in');
+      fs.mkdirSync(inputDir);
+      fs.writeFileSync(path.join(inputDir, 'broken.zip'), Buffer.from([0x50, 0x4b, 0x03, 0x04]));
+      const cli = path.join(process.cwd(), 'courseconverter.js');
+      const result = spawnSync(process.execPath, [cli, '--keep-temp', inputDir, path.join(tempDir, 'out')], { encoding: 'utf8', timeout: 60000 });
+
+      const workspace = result.stdout.match(/Kept temp workspace: (.+)/)[1].trim();
+      try {
+        expect(fs.readdirSync(workspace).some(name => name.startsWith('broken-'))).toBe(true);
+      } finally {
+        fs.rmSync(workspace, { recursive: true, force: true });
+      }
+    });
+
+    it('should never treat a course directory used in place as temporary', async () => {
+      writeMinimalCourse(tempDir);
+      const courseDir = await extractCourse(tempDir);
+      expect(courseDir).toBe(tempDir);
+      expect(isTempPath(courseDir)).toBe(false);
+    });
+  });
+
+  // ============================================================================
+  // Additional Feature Tests - Parallel Conversion
+  // ============================================================================
+  describe('Parallel Batch Conversion', () => {
+    it('should buffer console output and restore the console afterwards', () => {
+      const logs = [];
+      const originalLog = console.log;
+      const restore = captureConsole(logs);
+      console.log('converted %s', 'course1');
+      console.error('failed course2');
+      restore();
+
+      expect(logs).toEqual([
+        { stream: 'stdout', text: 'converted course1' },
+        { stream: 'stderr', text: 'failed course2' }
+      ]);
+      expect(console.log).toBe(originalLog);
+    });
+
+    it('should convert a batch in worker threads and keep the summary correct', async () => {
+      const inputDir = path.join(tempDir, 'in');
+      const outputDir = path.join(tempDir, 'out');
+      const sourceDir = path.join(tempDir, 'src');
+      writeMinimalCourse(path.join(sourceDir, 'course'), 'Parallel Course');
+      fs.mkdirSync(inputDir);
+      for (const name of ['one', 'two', 'three']) {
+        await tar.create({ file: path.join(inputDir, `${name}.tar.gz`), cwd: sourceDir, gzip: true }, ['course']);
+      }
+      fs.writeFileSync(path.join(inputDir, 'broken.zip'), Buffer.from([0x50, 0x4b, 0x03, 0x04]));
+
+      const cli = path.join(process.cwd(), 'courseconverter.js');
+      const run = spawnSync(process.execPath, [cli, inputDir, outputDir, '--concurrency', '2'], { encoding: 'utf8', timeout: 60000 });
+
+      expect(run.stdout).toContain('Converting with 2 workers');
+      expect(run.stdout).toContain('Conversion completed: 3 successful, 1 failed');
+      for (const name of ['one', 'two', 'three']) {
+        expect(fs.readFileSync(path.join(outputDir, name, 'course.md'), 'utf8')).toContain('# Parallel Course');
+      }
+    });
+  });
+
+  // ============================================================================
+  // Additional Feature Tests - Incremental Conversion Cache
+  // ============================================================================
+  describe('Incremental Conversion Cache', () => {
+    it('should hash course directories by content, not by timestamps', async () => {
+      writeMinimalCourse(path.join(tempDir, 'a'));
+      writeMinimalCourse(path.join(tempDir, 'b'));
+      const hashA = await computeContentHash(path.join(tempDir, 'a'));
+
+      expect(hashA).toMatch(/^sha256:[0-9a-f]{64}$/);
+      expect(await computeContentHash(path.join(tempDir, 'b'))).toBe(hashA);
+
+      fs.writeFileSync(path.join(tempDir, 'b', 'course', 'run1.xml'), '<course display_name="Changed"></course>');
+      expect(await computeContentHash(path.join(tempDir, 'b'))).not.toBe(hashA);
+    });
+
+    it('should key the cache on output-affecting options only', () => {
+      const cacheOptions = getCacheOptions({ verbose: true, concurrency: 4, force: false, recursive: true, audience: 'learner' });
+      expect(cacheOptions).toEqual({ audience: 'learner' });
+      expect(getCacheOptions({ someFutureFlag: true, includeDrafts: true })).toEqual({ includeDrafts: true });
+      expect(getCacheOptions({ asOf: new Date('2025-09-01T08:00:00Z') })).toEqual({ asOf: '2025-09-01T08:00:00.000Z' });
+      expect(getCacheOptions({ asOf: new Date('2025-09-01T08:00:00Z') }))
+        .not.toEqual(getCacheOptions({ asOf: new Date('2025-09-01T17:30:00Z') }));
+      expect(isCourseUpToDate(undefined, 'sha256:abc', cacheOptions)).toBe(false);
+      expect(isCourseUpToDate({ contentHash: 'sha256:old', options: cacheOptions, outputs: ['c'] }, 'sha256:new', cacheOptions)).toBe(false);
+    });
+
+    it('should skip unchanged courses on the next run unless --force is given', async () => {
+      const inputDir = path.join(tempDir, 'in');
+      const outputDir = path.join(tempDir, 'out');
+      writeMinimalCourse(path.join(inputDir, 'course-a'), 'Cached Course');
+      const cli = path.join(process.cwd(), 'courseconverter.js');
+      const run = (...args) => spawnSync(process.execPath, [cli, inputDir, outputDir, ...args], { encoding: 'utf8', timeout: 60000 }).stdout;
+
+      expect(run()).toContain('Conversion completed: 1 successful, 0 failed');
+      expect(fs.existsSync(path.join(outputDir, '.courseconverter-manifest.json'))).toBe(true);
+      expect(run()).toContain('Conversion completed: 0 successful, 0 failed, 1 unchanged');
+      expect(run('--force')).toContain('Conversion completed: 1 successful, 0 failed');
+
+      fs.writeFileSync(path.join(inputDir, 'course-a', 'course', 'run1.xml'), '<course display_name="Edited Course"></course>');
+      expect(run()).toContain('Conversion completed: 1 successful, 0 failed');
+      expect(fs.readFileSync(path.join(outputDir, 'course-a', 'course.md'), 'utf8')).toContain('# Edited Course');
+    });
+  });
+
+  // ============================================================================
+  // Additional Feature Tests - Watch Mode
+  // ============================================================================
+  describe('Watch Mode', () => {
+    it('should map changed files to the course they belong to', () => {
+      const courses = ['/in/a.tar.gz', '/in/course-olx'];
+      expect(findCourseForPath('/in/a.tar.gz', courses)).toBe('/in/a.tar.gz');
+      expect(findCourseForPath('/in/course-olx/html/intro.html', courses)).toBe('/in/course-olx');
+      expect(findCourseForPath('/in/a.tar.gz.part', courses)).toBeUndefined();
+      expect(findCourseForPath('/in/course-olx-backup/course.xml', courses)).toBeUndefined();
+    });
+
+    it('should regenerate only the course whose OLX files changed', async () => {
+      const inputDir = path.join(tempDir, 'in');
+      const outputDir = path.join(tempDir, 'out');
+      writeMinimalCourse(path.join(inputDir, 'watched'), 'Before Edit');
+      writeMinimalCourse(path.join(inputDir, 'untouched'), 'Untouched');
+
+      const cli = path.join(process.cwd(), 'courseconverter.js');
+      const child = spawn(process.execPath, [cli, inputDir, outputDir, '--watch']);
+      let stdout = '';
+      const waitFor = (text) => new Promise((resolve, reject) => {
+        const timer = setTimeout(() => reject(new Error(`Timed out waiting for "${text}"`)), 20000);
+        const check = () => {
+          if (stdout.includes(text)) {
+            clearTimeout(timer);
+            child.stdout.off('data', check);
+            resolve();
+          }
+        };
+        child.stdout.on('data', check);
+        check();
+      });
+      child.stdout.on('data', chunk => { stdout += chunk; });
+
+      try {
+        await waitFor('Watching');
+        fs.writeFileSync(path.join(inputDir, 'watched', 'course', 'run1.xml'), '<course display_name="After Edit"></course>');
+        await waitFor('Regenerated watched');
+
+        expect(fs.readFileSync(path.join(outputDir, 'watched', 'course.md'), 'utf8')).toContain('# After Edit');
+        expect(stdout).not.toContain('Regenerated untouched');
+        expect(stdout).not.toContain('Processing course 1: watched');
+
+        // Two courses rebuilding at once both keep their manifest entry
+        fs.writeFileSync(path.join(inputDir, 'watched', 'course', 'run1.xml'), '<course display_name="Second Edit"></course>');
+        fs.writeFileSync(path.join(inputDir, 'untouched', 'course', 'run1.xml'), '<course display_name="Edited Too"></course>');
+        await waitFor('Regenerated untouched');
+        await waitFor('Regenerated watched (');
+        await new Promise(resolve => setTimeout(resolve, 200));
+        const manifest = JSON.parse(fs.readFileSync(path.join(outputDir, '.courseconverter-manifest.json'), 'utf8'));
+        expect(manifest.courses.watched.contentHash).toBe(await computeContentHash(path.join(inputDir, 'watched')));
+        expect(manifest.courses.untouched.contentHash).toBe(await computeContentHash(path.join(inputDir, 'untouched')));
+
+        // A failed rebuild shows the course's own log lines
+        fs.writeFileSync(path.join(inputDir, 'watched', 'course.xml'), '<course');
+        await waitFor('Processing course 1: watched');
+      } finally {
+        const exited = new Promise(resolve => child.once('exit', resolve));
+        child.kill('SIGTERM');
+        await exited;
+      }
+    }, 30000);
+  });
+
+  // ============================================================================
+  // Additional Feature Tests - Course Timeout and Retry
+  // ============================================================================
+  describe('Course Timeout and Retry-failed', () => {
+    it('should read unique failed course inputs from a results file', () => {
+      const resultsPath = path.join(tempDir, 'conversion-results.json');
+      fs.writeFileSync(resultsPath, JSON.stringify({
+        results: [
+          { fileName: 'ok', source: '/in/ok.tar.gz', success: true },
+          { fileName: 'multi/a', source: '/in/multi.zip', success: false, error: 'boom' },
+          { fileName: 'multi/b', source: '/in/multi.zip', success: false, error: 'boom' },
+          { fileName: 'slow', source: '/in/slow.tgz', success: false, error: 'Timed out after 60s' }
+        ]
+      }));
+
+      expect(loadFailedCourses(resultsPath)).toEqual(['/in/multi.zip', '/in/slow.tgz']);
+      expect(() => loadFailedCourses(path.join(tempDir, 'missing.json'))).toThrow(/Cannot read results file/);
+    });
+
+    it('should time out a course, record it, and retry only the failures', async () => {
+      const inputDir = path.join(tempDir, 'in');
+      const outputDir = path.join(tempDir, 'out');
+      writeMinimalCourse(path.join(inputDir, 'course-a'), 'Course A');
+      writeMinimalCourse(path.join(inputDir, 'course-b'), 'Course B');
+      const cli = path.join(process.cwd(), 'courseconverter.js');
+      const run = (...args) => spawnSync(process.execPath, [cli, inputDir, outputDir, ...args], { encoding: 'utf8', timeout: 60000 });
+
+      const timedOut = run('--course-timeout', '0.000001');
+      expect(timedOut.stderr).toContain('Timed out after 0.000001s');
+      expect(timedOut.stdout).toContain('Conversion completed: 0 successful, 2 failed');
+
+      const resultsPath = path.join(outputDir, 'conversion-results.json');
+      const report = JSON.parse(fs.readFileSync(resultsPath, 'utf8'));
+      expect(report.results.map(result => result.error)).toEqual(['Timed out after 0.000001s', 'Timed out after 0.000001s']);
+
+      writeMinimalCourse(path.join(inputDir, 'course-c'), 'Course C');
+      const retried = run('--retry-failed', resultsPath);
+      expect(retried.stdout).toContain('Retrying 2 failed course(s)');
+      expect(retried.stdout).toContain('Conversion completed: 2 successful, 0 failed');
+      expect(fs.existsSync(path.join(outputDir, 'course-c'))).toBe(false);
+    });
+  });
+
+  // ============================================================================
+  // Additional Feature Tests - Stdin/Stdout Streaming
+  // ============================================================================
+  describe('Stdin and Stdout Streaming', () => {
+    const cli = path.join(process.cwd(), 'courseconverter.js');
+
+    async function writeCourseArchive() {
+      const sourceDir = path.join(tempDir, 'src');
+      writeMinimalCourse(path.join(sourceDir, 'course'), 'Piped Course');
+      fs.mkdirSync(path.join(sourceDir, 'course', 'static'));
+      fs.writeFileSync(path.join(sourceDir, 'course', 'static', 'diagram.png'), 'png');
+      const archivePath = path.join(tempDir, 'piped.tar.gz');
+      await tar.create({ file: archivePath, cwd: sourceDir, gzip: true }, ['course']);
+      return fs.readFileSync(archivePath);
+    }
+
+    it('should accept only markdown or tar as stdout format', () => {
+      expect(parseStdoutFormat('md')).toBe('markdown');
+      expect(parseStdoutFormat('TAR')).toBe('tar');
+      expect(() => parseStdoutFormat('zip')).toThrow('Expected markdown or tar.');
+    });
+
+    it('should read an archive from stdin and write course.md to stdout', async () => {
+      const archive = await writeCourseArchive();
+      const result = spawnSync(process.execPath, [cli, '-', '-'], { input: archive, encoding: 'utf8', timeout: 60000 });
+
+      expect(result.status).toBe(0);
+      expect(result.stdout).toMatch(/^---\n/);
+      expect(result.stdout).toContain('# Piped Course');
+      expect(result.stdout).not.toContain('Conversion completed');
+      expect(result.stderr).toContain('Conversion completed: 1 successful, 0 failed');
+    });
+
+    it('should write the course folder with media as a tar stream', async () => {
+      const archive = await writeCourseArchive();
+      const result = spawnSync(process.execPath, [cli, '-', '-', '--stdout-format', 'tar'], { input: archive, timeout: 60000 });
+      expect(result.status).toBe(0);
+
+      const tarPath = path.join(tempDir, 'out.tar');
+      fs.writeFileSync(tarPath, result.stdout);
+      const entries = [];
+      await tar.list({ file: tarPath, onReadEntry: entry => entries.push(entry.path) });
+      expect(entries).toEqual(expect.arrayContaining(['course/course.md', 'course/media/diagram.png']));
+      expect(entries.some(entry => entry.includes('conversion-results'))).toBe(false);
+    });
+
+    it('should convert stdin into an output directory and reject non-archives', async () => {
+      const archive = await writeCourseArchive();
+      const outputDir = path.join(tempDir, 'out');
+      const converted = spawnSync(process.execPath, [cli, '-', outputDir], { input: archive, encoding: 'utf8', timeout: 60000 });
+      expect(converted.status).toBe(0);
+      expect(fs.readFileSync(path.join(outputDir, 'course', 'course.md'), 'utf8')).toContain('# Piped Course');
+
+      const rejected = spawnSync(process.execPath, [cli, '-', '-'], { input: 'not an archive', encoding: 'utf8', timeout: 60000 });
+      expect(rejected.status).toBe(1);
+      expect(rejected.stdout).toBe('');
+      expect(rejected.stderr).toContain('Data on stdin is not a .tar.gz, .tar or .zip archive');
+    });
+  });
+
+  // ============================================================================
+  // Additional Feature Tests - Inline OLX
+  // ============================================================================
+  describe('Inline OLX Components and Structure', () => {
+    it('should tell pointers from inline definitions', () => {
+      expect(isPointerNode({ '@_url_name': 'ch1' })).toBe(true);
+      expect(isPointerNode({ '@_url_name': 'ch1', '@_display_name': 'Inline' })).toBe(false);
+      expect(collectChildRefs({ sequential: [{ '@_url_name': 's1' }, { '@_display_name': 'S2' }] }, 'sequential'))
+        .toEqual(['s1', { '@_display_name': 'S2' }]);
+
+      const components = collectComponentRefs({
+        html: [{ '@_url_name': 'h1' }, { '@_display_name': 'Note', '#text': '<p>Hi</p>' }],
+        problem: { '@_url_name': 'p2', '@_display_name': 'Q', stringresponse: { '@_answer': 'a' } }
+      });
+      expect(components).toEqual([
+        { kind: 'html', id: 'h1' },
+        { kind: 'html', id: 'inline-html-2', inline: { '@_display_name': 'Note', '#text': '<p>Hi</p>' } },
+        { kind: 'problem', id: 'p2', inline: { '@_url_name': 'p2', '@_display_name': 'Q', stringresponse: { '@_answer': 'a' } } }
+      ]);
+    });
+
+    it('should keep parseChapters, parseSequentials and parseVerticals as wrappers of parseContainer', () => {
+      fs.mkdirSync(path.join(tempDir, 'chapter'));
+      fs.writeFileSync(path.join(tempDir, 'chapter', 'ch1.xml'), '<chapter display_name="Pointed"><sequential display_name="Lesson"/></chapter>');
+      const inline = { '@_display_name': 'Inline Unit' };
+
+      expect(parseChapters(tempDir, ['ch1'])).toEqual([parseContainer(tempDir, 'chapter', 'ch1', 0)]);
+      expect(parseChapters(tempDir, ['ch1'])[0].children[0].title).toBe('Lesson');
+      expect(parseSequentials(tempDir, ['missing'])).toEqual([{ id: 'missing', kind: 'sequential', title: 'Missing sequential missing', children: [] }]);
+      expect(parseVerticals(tempDir, ['missing', inline]).map(vertical => vertical.title)).toEqual(['Missing vertical missing', 'Inline Unit']);
+    });
+
+    it('should convert chapters, units and components inlined in the course file', () => {
+      fs.mkdirSync(path.join(tempDir, 'course'));
+      fs.mkdirSync(path.join(tempDir, 'chapter'));
+      fs.writeFileSync(path.join(tempDir, 'course.xml'), '<course url_name="run1" org="ORG" course="INL"/>');
+      fs.writeFileSync(path.join(tempDir, 'course', 'run1.xml'), `<course display_name="Inline Course">
+        <chapter url_name="pointed"/>
+        <chapter display_name="Inline Chapter">
+          <sequential display_name="Inline Lesson">
+            <vertical display_name="Inline Unit">
+              <html display_name="Note"><p>Hello <b>inline</b></p><![CDATA[<em>cdata</em>]]></html>
+              <problem display_name="Inline Quiz"><stringresponse answer="yes"><p>Say yes</p><textline/></stringresponse></problem>
+              <video display_name="Clip" youtube="1.00:abc123"/>
+            </vertical>
+          </sequential>
+        </chapter>
+      </course>`);
+      fs.writeFileSync(path.join(tempDir, 'chapter', 'pointed.xml'), '<chapter display_name="Pointed Chapter"/>');
+
+      const courseTree = buildCourseTree(tempDir);
+      expect(courseTree.chapters.map(chapter => chapter.title)).toEqual(['Pointed Chapter', 'Inline Chapter']);
+      const unit = courseTree.chapters[1].children[0].children[0];
+      expect(unit.children.map(component => component.kind)).toEqual(['html', 'problem', 'video']);
+
+      const markdown = transformCourseToMarkdown(courseTree, tempDir);
+      expect(markdown).toContain('### Inline Lesson');
+      expect(markdown).toContain('Hello **inline**');
+      expect(markdown).toContain('*cdata*');
+      expect(markdown).toContain('[[yes]]');
+      expect(markdown).toContain('https://www.youtube.com/watch?v=abc123');
+      expect(markdown).not.toContain('temporarily unavailable');
+    });
+  });
+
+  // ============================================================================
+  // Additional Feature Tests - Irregular Hierarchies
+  // ============================================================================
+  describe('Irregular Course Hierarchies', () => {
+    it('should keep every container and component in document order at any depth', () => {
+      for (const dir of ['course', 'chapter', 'sequential', 'vertical', 'html']) {
+        fs.mkdirSync(path.join(tempDir, dir));
+      }
+      fs.writeFileSync(path.join(tempDir, 'course.xml'), '<course url_name="run1" org="ORG" course="IRR"/>');
+      fs.writeFileSync(path.join(tempDir, 'course', 'run1.xml'),
+        '<course display_name="Irregular"><chapter url_name="ch1"/><chapter url_name="ch2"/></course>');
+      // A sequential holding components directly, around a vertical
+      fs.writeFileSync(path.join(tempDir, 'chapter', 'ch1.xml'),
+        '<chapter display_name="Chapter One"><sequential url_name="seq1"/></chapter>');
+      fs.writeFileSync(path.join(tempDir, 'sequential', 'seq1.xml'),
+        '<sequential display_name="Lesson One"><html url_name="before"/><vertical url_name="outer"/><html url_name="after"/></sequential>');
+      // Verticals nested in verticals
+      fs.writeFileSync(path.join(tempDir, 'vertical', 'outer.xml'),
+        '<vertical display_name="Outer"><vertical display_name="Inner"><html url_name="deep"/></vertical></vertical>');
+      // A chapter holding a bare vertical
+      fs.writeFileSync(path.join(tempDir, 'chapter', 'ch2.xml'),
+        '<chapter display_name="Chapter Two"><vertical url_name="bare"/></chapter>');
+      fs.writeFileSync(path.join(tempDir, 'vertical', 'bare.xml'),
+        '<vertical display_name="Bare Unit"><html url_name="loose"/></vertical>');
+      for (const name of ['before', 'after', 'deep', 'loose']) {
+        fs.writeFileSync(path.join(tempDir, 'html', `${name}.xml`), `<html filename="${name}"/>`);
+        fs.writeFileSync(path.join(tempDir, 'html', `${name}.html`), `<p>Text ${name}</p>`);
+      }
+
+      const courseTree = buildCourseTree(tempDir);
+      const lesson = courseTree.chapters[0].children[0];
+      expect(lesson.children.map(child => child.kind)).toEqual(['html', 'vertical', 'html']);
+      expect(lesson.children[1].children[0]).toMatchObject({ kind: 'vertical', title: 'Inner' });
+
+      const markdown = transformCourseToMarkdown(courseTree, tempDir);
+      const order = ['## Chapter One', '### Lesson One', 'Text before', 'Text deep', 'Text after',
+        '## Chapter Two', '### Bare Unit', 'Text loose'];
+      const positions = order.map(text => markdown.indexOf(text));
+      expect(positions).not.toContain(-1);
+      expect([...positions].sort((a, b) => a - b)).toEqual(positions);
+      expect(markdown).not.toContain('#### Inner');
+    });
+  });
+
+  // ============================================================================
+  // Additional Feature Tests - Drafts
+  // ============================================================================
+  describe('Drafts Support', () => {
+    // Published lesson with one unit; drafts add a new unit first and override the html of the published one
+    function writeCourseWithDrafts(dir) {
+      writeMinimalCourse(dir, 'Draft Course');
+      for (const sub of ['chapter', 'sequential', 'vertical', 'html', 'drafts/vertical', 'drafts/html']) {
+        fs.mkdirSync(path.join(dir, sub), { recursive: true });
+      }
+      fs.writeFileSync(path.join(dir, 'course', 'run1.xml'), '<course display_name="Draft Course"><chapter url_name="ch1"/></course>');
+      fs.writeFileSync(path.join(dir, 'chapter', 'ch1.xml'), '<chapter display_name="Chapter"><sequential url_name="seq1"/></chapter>');
+      fs.writeFileSync(path.join(dir, 'sequential', 'seq1.xml'), '<sequential display_name="Lesson"><vertical url_name="live"/></sequential>');
+      fs.writeFileSync(path.join(dir, 'vertical', 'live.xml'), '<vertical display_name="Live Unit"><html url_name="page"/></vertical>');
+      fs.writeFileSync(path.join(dir, 'html', 'page.xml'), '<html filename="page"/>');
+      fs.writeFileSync(path.join(dir, 'html', 'page.html'), '<p>Published text</p>');
+      fs.writeFileSync(path.join(dir, 'drafts', 'html', 'page.xml'), '<html filename="page" display_name="Page"/>');
+      fs.writeFileSync(path.join(dir, 'drafts', 'html', 'page.html'), '<p>Edited text</p>');
+      fs.writeFileSync(path.join(dir, 'drafts', 'vertical', 'wip.xml'),
+        '<vertical display_name="New Unit" parent_url="block-v1:ORG+MIN+run1+type@sequential+block@seq1" index_in_children_list="0"><html url_name="wip-page"/></vertical>');
+      fs.writeFileSync(path.join(dir, 'drafts', 'html', 'wip-page.xml'), '<html filename="wip-page"/>');
+      fs.writeFileSync(path.join(dir, 'drafts', 'html', 'wip-page.html'), '<p>Work in progress</p>');
+    }
+
+    it('should read the parent url_name from block and location keys', () => {
+      expect(parseParentUrl('block-v1:Org+AB101+S2_2025+type@sequential+block@3c9ffe30')).toBe('3c9ffe30');
+      expect(parseParentUrl('i4x://Org/AB101/sequential/3c9ffe30')).toBe('3c9ffe30');
+      expect(parseParentUrl(undefined)).toBeNull();
+    });
+
+    it('should insert draft units by parent_url and prefer draft versions', () => {
+      writeCourseWithDrafts(tempDir);
+      const drafts = loadDrafts(tempDir);
+      expect(drafts.byParent.get('seq1')).toEqual([{ kind: 'vertical', id: 'wip', index: 0 }]);
+
+      const lesson = parseContainer(tempDir, 'sequential', 'seq1', 0, { drafts });
+      expect(lesson.children.map(child => child.title)).toEqual(['New Unit', 'Live Unit']);
+      expect(lesson.children[0].unpublished).toBe(true);
+      expect(lesson.children[1].unpublished).toBeUndefined();
+      expect(lesson.children[1].children[0]).toMatchObject({ kind: 'html', id: 'page', unpublished: true });
+      expect(pruneToDrafts([lesson])[0].children).toHaveLength(2);
+    });
+
+    it('should mark unpublished content and convert only drafts with --drafts-only', () => {
+      const inputDir = path.join(tempDir, 'drafty');
+      writeCourseWithDrafts(inputDir);
+      const cli = path.join(process.cwd(), 'courseconverter.js');
+      const run = (outputDir, ...args) => {
+        spawnSync(process.execPath, [cli, inputDir, outputDir, ...args], { encoding: 'utf8', timeout: 60000 });
+        return fs.readFileSync(path.join(outputDir, 'drafty', 'course.md'), 'utf8');
+      };
+
+      const published = run(path.join(tempDir, 'published'));
+      expect(published).toContain('Published text');
+      expect(published).not.toContain('Work in progress');
+
+      const merged = run(path.join(tempDir, 'merged'), '--include-drafts');
+      expect(merged.indexOf('> **Unpublished:** New Unit')).toBeLessThan(merged.indexOf('Work in progress'));
+      expect(merged.indexOf('Work in progress')).toBeLessThan(merged.indexOf('> **Unpublished:** Page'));
+      expect(merged).toContain('Edited text');
+      expect(merged).not.toContain('Published text');
+
+      const draftsOnly = run(path.join(tempDir, 'drafts-only'), '--drafts-only');
+      expect(draftsOnly).toContain('Work in progress');
+      expect(draftsOnly).toContain('Edited text');
+      expect(draftsOnly).toContain('### Lesson');
+    });
+  });
+
+  // ============================================================================
+  // Additional Feature Tests - Visibility and Release Dates
+  // ============================================================================
+  describe('Visibility and Release-date Filtering', () => {
+    function writeScheduledCourse(dir) {
+      writeMinimalCourse(dir, 'Scheduled Course');
+      fs.mkdirSync(path.join(dir, 'chapter'));
+      fs.writeFileSync(path.join(dir, 'course', 'run1.xml'), '<course display_name="Scheduled Course"><chapter url_name="week1"/><chapter url_name="week2"/></course>');
+      fs.writeFileSync(path.join(dir, 'chapter', 'week1.xml'), `<chapter display_name="Week 1" start="2025-01-01T00:00:00Z">
+        <sequential display_name="Lecture" due="2025-02-01T00:00:00Z"><vertical display_name="Unit"><html display_name="Intro">Lecture notes</html></vertical></sequential>
+        <sequential display_name="Answer Sheet" visible_to_staff_only="true"><vertical display_name="Unit"><html display_name="Key">Answer key</html></vertical></sequential>
+        <sequential display_name="Bonus" hide_from_toc="true"><vertical display_name="Unit"><html display_name="Extra">Hidden bonus</html></vertical></sequential>
+      </chapter>`);
+      fs.writeFileSync(path.join(dir, 'chapter', 'week2.xml'),
+        '<chapter display_name="Week 2" start="2025-06-01T00:00:00Z"><sequential display_name="Later"><vertical display_name="Unit"><html display_name="Soon">Next month</html></vertical></sequential></chapter>');
+    }
+
+    it('should keep scheduling and visibility attributes on containers', () => {
+      writeScheduledCourse(tempDir);
+      const courseTree = buildCourseTree(tempDir);
+      expect(courseTree.chapters[0].attributes).toMatchObject({ display_name: 'Week 1', start: '2025-01-01T00:00:00Z' });
+      expect(courseTree.chapters[0].children[0].attributes.due).toBe('2025-02-01T00:00:00Z');
+      expect(courseTree.chapters[0].children[1].attributes.visible_to_staff_only).toBe('true');
+      expect(readNodeAttributes({ '@_hide_from_toc': 'true', '#order': 2, p: 'x' })).toEqual({ hide_from_toc: 'true' });
+    });
+
+    it('should filter by audience and release date and report each exclusion', () => {
+      writeScheduledCourse(tempDir);
+      const courseTree = buildCourseTree(tempDir);
+
+      const learner = filterCourseTree(courseTree, { audience: 'learner', asOf: new Date('2025-03-01') });
+      expect(learner.excluded).toEqual([
+        { kind: 'sequential', id: 'inline-sequential-2', title: 'Answer Sheet', reason: 'visible to staff only' },
+        { kind: 'sequential', id: 'inline-sequential-3', title: 'Bonus', reason: 'hidden from the table of contents' },
+        { kind: 'chapter', id: 'week2', title: 'Week 2', reason: 'not released until 2025-06-01T00:00:00Z' }
+      ]);
+      const learnerMarkdown = transformCourseToMarkdown(learner.courseTree, tempDir);
+      expect(learnerMarkdown).toContain('Lecture notes');
+      expect(learnerMarkdown).not.toContain('Answer key');
+
+      const staff = filterCourseTree(courseTree, { audience: 'staff' });
+      expect(staff.excluded).toEqual([]);
+      expect(transformCourseToMarkdown(staff.courseTree, tempDir)).toContain('Answer key');
+      expect(courseTree.chapters[0].children).toHaveLength(3);
+    });
+
+    it('should validate --audience and --as-of values and log exclusions', () => {
+      expect(parseAudienceOption('Staff')).toBe('staff');
+      expect(() => parseAudienceOption('teacher')).toThrow('Expected learner or staff.');
+      expect(parseDateOption('2025-09-01').toISOString()).toBe('2025-09-01T00:00:00.000Z');
+      expect(() => parseDateOption('soon')).toThrow('Expected a date such as 2025-09-01 or now.');
+
+      const inputDir = path.join(tempDir, 'scheduled');
+      writeScheduledCourse(inputDir);
+      const cli = path.join(process.cwd(), 'courseconverter.js');
+      const result = spawnSync(process.execPath, [cli, inputDir, path.join(tempDir, 'out'), '--audience', 'learner', '--as-of', '2025-03-01'], { encoding: 'utf8', timeout: 60000 });
+      expect(result.stdout).toContain('Excluded sequential "Answer Sheet": visible to staff only');
+      expect(result.stdout).toContain('Excluded chapter "Week 2": not released until 2025-06-01T00:00:00Z');
+
+      // Without --audience every container is kept, as before audiences existed
+      const unfiltered = spawnSync(process.execPath, [cli, inputDir, path.join(tempDir, 'all')], { encoding: 'utf8', timeout: 60000 });
+      expect(unfiltered.stdout).not.toContain('Excluded');
+    });
+  });
+
+  // ============================================================================
+  // Additional Feature Tests - Course Policies
+  // ============================================================================
+  describe('Policy Overrides', () => {
+    it('should merge policy.json into every node with the policy value winning', () => {
+      writeMinimalCourse(tempDir, 'XML Title');
+      for (const dir of ['chapter', 'video', 'policies/run1']) {
+        fs.mkdirSync(path.join(tempDir, dir), { recursive: true });
+      }
+      fs.writeFileSync(path.join(tempDir, 'course', 'run1.xml'), '<course display_name="XML Title" language="de"><chapter url_name="ch1"/></course>');
+      fs.writeFileSync(path.join(tempDir, 'chapter', 'ch1.xml'), `<chapter display_name="Old Chapter" start="2020-01-01T00:00:00Z">
+        <sequential url_name="hw" display_name="Homework"><vertical display_name="Unit"><video url_name="v1"/></vertical></sequential>
+      </chapter>`);
+      fs.writeFileSync(path.join(tempDir, 'video', 'v1.xml'), '<video display_name="Old Clip" youtube="1.00:abc123"/>');
+      fs.writeFileSync(path.join(tempDir, 'policies', 'run1', 'policy.json'), JSON.stringify({
+        'course/run1': { display_name: 'Policy Title', language: 'en' },
+        'chapter/ch1': { display_name: 'New Chapter', start: '2030-01-01T00:00:00Z' },
+        'sequential/hw': { graded: true, format: 'Homework', visible_to_staff_only: true },
+        'video/v1': { display_name: 'New Clip' }
+      }, null, 4));
+
+      const courseTree = buildCourseTree(tempDir);
+      expect(courseTree.title).toBe('Policy Title');
+      expect(courseTree.attributes.language).toBe('en');
+      const chapter = courseTree.chapters[0];
+      expect(chapter.title).toBe('New Chapter');
+      expect(chapter.attributes.start).toBe('2030-01-01T00:00:00Z');
+      expect(chapter.children[0].attributes).toMatchObject({ display_name: 'Homework', graded: true, format: 'Homework' });
+
+      // Policy settings feed the audience and release-date filters
+      expect(filterCourseTree(courseTree, { audience: 'learner' }).excluded[0]).toMatchObject({ id: 'hw', reason: 'visible to staff only' });
+      expect(filterCourseTree(courseTree, { audience: 'staff', asOf: new Date('2025-01-01') }).excluded[0]).toMatchObject({ id: 'ch1' });
+
+      const markdown = transformCourseToMarkdown(courseTree, tempDir);
+      expect(markdown).toContain('# Policy Title');
+      expect(markdown).toContain('## New Chapter');
+      expect(markdown).toContain('**New Clip**');
+      expect(markdown).not.toContain('Old Clip');
+    });
+
+    it('should fall back to the XML when the policy file is missing or malformed', () => {
+      fs.mkdirSync(path.join(tempDir, 'policies', 'run1'), { recursive: true });
+      expect(loadCoursePolicy(tempDir, 'missing')).toEqual({});
+      fs.writeFileSync(path.join(tempDir, 'policies', 'run1', 'policy.json'), '{ not json');
+      const logs = [];
+      const restoreConsole = captureConsole(logs);
+      try {
+        expect(loadCoursePolicy(tempDir, 'run1')).toEqual({});
+      } finally {
+        restoreConsole();
+      }
+      expect(logs[0].text).toContain('Ignoring unreadable policy file');
+    });
+  });
+
+  // ============================================================================
+  // Additional Feature Tests - Grading Policy
+  // ============================================================================
+  describe('Grading Policy', () => {
+    function writeGradedCourse(dir) {
+      writeMinimalCourse(dir, 'Graded Course');
+      for (const sub of ['chapter', 'sequential', 'policies/run1']) {
+        fs.mkdirSync(path.join(dir, sub), { recursive: true });
+      }
+      fs.writeFileSync(path.join(dir, 'course', 'run1.xml'), '<course display_name="Graded Course"><chapter url_name="ch1"/></course>');
+      fs.writeFileSync(path.join(dir, 'chapter', 'ch1.xml'),
+        '<chapter display_name="Week 1"><sequential url_name="lecture"/><sequential url_name="hw1"/><sequential url_name="exam"/></chapter>');
+      fs.writeFileSync(path.join(dir, 'sequential', 'lecture.xml'), '<sequential display_name="Lecture" format="Homework"/>');
+      fs.writeFileSync(path.join(dir, 'sequential', 'hw1.xml'), '<sequential display_name="Homework 1" graded="true" format="Homework"/>');
+      fs.writeFileSync(path.join(dir, 'sequential', 'exam.xml'), '<sequential display_name="Exam"/>');
+      fs.writeFileSync(path.join(dir, 'policies', 'run1', 'policy.json'), JSON.stringify({
+        'sequential/exam': { graded: true, format: 'Final Exam' }
+      }));
+      fs.writeFileSync(path.join(dir, 'policies', 'run1', 'grading_policy.json'), JSON.stringify({
+        GRADER: [
+          { type: 'Homework', short_label: 'HW', weight: 0.25, min_count: 4, drop_count: 1 },
+          { type: 'Final Exam', short_label: 'Final', weight: 0.75, min_count: 1, drop_count: 0 }
+        ],
+        GRADE_CUTOFFS: { Pass: 0.5, A: 0.9 }
+      }));
+    }
+
+    it('should attach assignment type and weight to graded sequentials', () => {
+      writeGradedCourse(tempDir);
+      expect(loadGradingPolicy(tempDir, 'run1').graders[0]).toEqual({ type: 'Homework', shortLabel: 'HW', weight: 0.25, minCount: 4, dropCount: 1 });
+      expect(getAssignmentGrading({ graded: 'true', format: 'Lab' }, null)).toEqual({ type: 'Lab', shortLabel: null, weight: null });
+
+      const courseTree = buildCourseTree(tempDir);
+      const [lecture, homework, exam] = courseTree.chapters[0].children;
+      expect(lecture.grading).toBeUndefined();
+      expect(homework.grading).toEqual({ type: 'Homework', shortLabel: 'HW', weight: 0.25 });
+      expect(exam.grading).toEqual({ type: 'Final Exam', shortLabel: 'Final', weight: 0.75 });
+    });
+
+    it('should badge graded headings and add a grading overview', () => {
+      writeGradedCourse(tempDir);
+      const markdown = transformCourseToMarkdown(buildCourseTree(tempDir), tempDir);
+
+      expect(markdown).toContain('### Lecture\n');
+      expect(markdown).toContain('### Homework 1 `Graded: Homework · 25%`');
+      expect(markdown).toContain('### Exam `Graded: Final Exam · 75%`');
+      expect(markdown).toContain('## Grading');
+      expect(markdown).toContain('| Homework (HW) | 25% | 4, lowest 1 dropped |');
+      expect(markdown).toContain('**Grade cutoffs:** A from 90%, Pass from 50%');
+      expect(markdown).toContain('- Homework 1: `Graded: Homework · 25%`');
+      expect(markdown.indexOf('## Grading')).toBeLessThan(markdown.indexOf('*Course conversion completed*'));
+    });
+  });
+
+  // ============================================================================
+  // Additional Feature Tests - HTML Block Resolution
+  // ============================================================================
+  describe('HTML Block Resolution', () => {
+    beforeEach(() => {
+      fs.mkdirSync(path.join(tempDir, 'html', 'shared'), { recursive: true });
+    });
+
+    it('should read the file named by the filename attribute', () => {
+      fs.writeFileSync(path.join(tempDir, 'html', 'block1.xml'), '<html filename="shared/intro" display_name="Intro"/>');
+      fs.writeFileSync(path.join(tempDir, 'html', 'shared', 'intro.html'), '<p>Shared intro</p>');
+      fs.writeFileSync(path.join(tempDir, 'html', 'block2.xml'), '<html filename="page.html"/>');
+      fs.writeFileSync(path.join(tempDir, 'html', 'page.html'), '<p>With extension</p>');
+
+      expect(parseHtmlComponent(tempDir, 'block1')).toMatchObject({ content: '<p>Shared intro</p>', displayName: 'Intro', editor: 'visual' });
+      expect(parseHtmlComponent(tempDir, 'block2').content).toBe('<p>With extension</p>');
+    });
+
+    it('should read HTML and CDATA embedded in the block XML', () => {
+      fs.writeFileSync(path.join(tempDir, 'html', 'embedded.xml'),
+        '<html display_name="Embedded"><![CDATA[<p>Fish & <b>chips</b></p>]]></html>');
+      fs.writeFileSync(path.join(tempDir, 'html', 'bare.xml'), '<html><p>No attributes</p></html>');
+
+      expect(parseHtmlComponent(tempDir, 'embedded').content).toBe('<p>Fish & <b>chips</b></p>');
+      expect(parseHtmlComponent(tempDir, 'bare').content).toBe('<p>No attributes</p>');
+    });
+
+    it('should report blocks without content and refuse filenames outside html/', () => {
+      fs.writeFileSync(path.join(tempDir, 'html', 'empty.xml'), '<html filename="missing"/>');
+      fs.writeFileSync(path.join(tempDir, 'html', 'escape.xml'), '<html filename="../../secret"/>');
+
+      expect(() => parseHtmlComponent(tempDir, 'empty')).toThrow('HTML component content not found');
+      expect(() => parseHtmlComponent(tempDir, 'escape')).toThrow('points outside html/');
+    });
+
+    it('should pass raw-editor blocks through as HTML', () => {
+      fs.writeFileSync(path.join(tempDir, 'html', 'raw.xml'), '<html filename="raw" editor="raw" display_name="Raw"/>');
+      fs.writeFileSync(path.join(tempDir, 'html', 'raw.html'), '<table class="grid">\n<tr><td><img src="/static/a.png"></td></tr>\n</table>');
+
+      const rawIR = parseHtmlComponent(tempDir, 'raw');
+      expect(rawIR.editor).toBe('raw');
+      const markdown = renderHtmlContent(rawIR);
+      expect(markdown).toContain('<table class="grid">');
+      expect(markdown).toContain('src="./media/a.png"');
+      expect(markdown.endsWith('\n')).toBe(true);
+      expect(renderHtmlContent({ ...rawIR, editor: 'visual' })).not.toContain('<table');
+    });
+  });
+
+  // ============================================================================
+  // Additional Feature Tests - Course Landing Section
+  // ============================================================================
+  describe('Course Landing Section', () => {
+    const overview = [
+      '<section class="about"><h2>About This Course</h2><p>Long description.</p></section>',
+      '<section class="prerequisites"><h2>Requirements</h2><p>Basic algebra.</p></section>',
+      '<section class="course-staff"><h2>Course Staff</h2>',
+      '<article class="teacher"><div class="teacher-image"><img src="/static/images/ada.png" alt="Ada photo"></div>',
+      '<h3>Ada Lovelace</h3><p>Wrote the first program.</p></article></section>',
+      '<section class="faq"><section class="responses"><h2>FAQ</h2>',
+      '<article class="response"><h3>Is it free?</h3><p>Yes.</p></article></section></section>'
+    ].join('\n');
+
+    beforeEach(() => {
+      writeMinimalCourse(tempDir, 'Landing Course');
+      fs.mkdirSync(path.join(tempDir, 'about'));
+      fs.writeFileSync(path.join(tempDir, 'about', 'overview.html'), overview);
+    });
+
+    it('should map each about page to its part of the landing section', () => {
+      fs.writeFileSync(path.join(tempDir, 'about', 'short_description.html'), 'A short pitch.');
+      fs.writeFileSync(path.join(tempDir, 'about', 'effort.html'), '4:00');
+      fs.writeFileSync(path.join(tempDir, 'about', 'title.html'), 'Ignored Title');
+
+      const landing = parseAboutPages(tempDir);
+      expect(landing.shortDescription).toBe('A short pitch.');
+      expect(landing.effort).toBe('4:00');
+      expect(landing.description).toEqual({ heading: 'About This Course', content: '<p>Long description.</p>' });
+      expect(landing.prerequisites.heading).toBe('Requirements');
+      expect(landing.staff.members).toEqual([
+        { name: 'Ada Lovelace', image: '/static/images/ada.png', imageAlt: 'Ada photo', bio: '<p>Wrote the first program.</p>' }
+      ]);
+      expect(landing.faq).toEqual({ heading: 'FAQ', items: [{ question: 'Is it free?', answer: '<p>Yes.</p>' }] });
+      expect(landing.extra).toEqual([]);
+    });
+
+    it('should render the landing section under the course title', () => {
+      fs.writeFileSync(path.join(tempDir, 'about', 'short_description.html'), 'A short pitch.');
+      fs.writeFileSync(path.join(tempDir, 'about', 'effort.html'), '4:00');
+      fs.writeFileSync(path.join(tempDir, 'course', 'run1.xml'),
+        '<course display_name="Landing Course"><chapter url_name="ch1" display_name="Week 1"/></course>');
+
+      const markdown = transformCourseToMarkdown(buildCourseTree(tempDir), tempDir);
+      const landing = markdown.slice(markdown.indexOf('# Landing Course'), markdown.indexOf('## Week 1'));
+      expect(landing).toContain('> A short pitch.');
+      expect(landing).toContain('**Effort:** 4:00');
+      expect(landing).toContain('**About This Course**\n\nLong description.');
+      expect(landing).toContain('**Requirements**\n\nBasic algebra.');
+      expect(landing).toContain('![Ada photo](./media/images_ada.png)\n\n**Ada Lovelace**\n\nWrote the first program.');
+      expect(landing).toContain('*Is it free?*\n\nYes.');
+      expect(landing).not.toMatch(/^#{2,} /m);
+      expect(landing.indexOf('A short pitch')).toBeLessThan(landing.indexOf('Long description'));
+    });
+
+    it('should prefer dedicated pages and keep unknown pages as extra sections', () => {
+      fs.writeFileSync(path.join(tempDir, 'about', 'prerequisites.html'), '<p>Calculus I.</p>');
+      fs.writeFileSync(path.join(tempDir, 'about', 'end_date.html'), '<p>June 2027</p>');
+
+      const landing = parseAboutPages(tempDir);
+      expect(landing.prerequisites).toEqual({ heading: 'Requirements', content: '<p>Calculus I.</p>' });
+      expect(landing.extra).toEqual([{ heading: 'End Date', content: '<p>June 2027</p>' }]);
+      expect(renderCourseLanding(landing)).toContain('**End Date**\n\nJune 2027');
+    });
+
+    it('should pick the named or overview page for an about component', () => {
+      fs.writeFileSync(path.join(tempDir, 'about', 'effort.html'), '4:00');
+
+      expect(parseAboutComponent(tempDir, { id: 'about1' }).filename).toBe('overview.html');
+      expect(parseAboutComponent(tempDir, { id: 'effort' }).filename).toBe('effort.html');
+    });
+
+    it('should leave courses without about pages unchanged', () => {
+      fs.rmSync(path.join(tempDir, 'about'), { recursive: true });
+
+      expect(parseAboutPages(tempDir)).toBeNull();
+      expect(renderCourseLanding(null)).toBe('');
+    });
+  });
+
+  // ============================================================================
+  // Additional Feature Tests - Announcements and Handouts
+  // ============================================================================
+  describe('Announcements and Handouts', () => {
+    const updates = [
+      '<ol>',
+      '<li><h2>May 8, 2025</h2><p>Week 2 is open.</p><ul><li>Read chapter 2</li></ul></li>',
+      '<li><h2>May 1, 2025</h2><p>Welcome! <img src="/static/welcome.png"></p></li>',
+      '</ol>'
+    ].join('\n');
+
+    it('should parse updates into dated entries', () => {
+      expect(parseCourseUpdates(updates)).toEqual([
+        { date: 'May 8, 2025', content: '<p>Week 2 is open.</p><ul><li>Read chapter 2</li></ul>' },
+        { date: 'May 1, 2025', content: '<p>Welcome! <img src="/static/welcome.png"/></p>' }
+      ]);
+      expect(parseCourseUpdates('<section><article><h2>Jan 5</h2><p>Old format</p></article></section>'))
+        .toEqual([{ date: 'Jan 5', content: '<p>Old format</p>' }]);
+      expect(parseCourseUpdates('<ol></ol>')).toEqual([]);
+    });
+
+    it('should read info/ and skip empty handouts and deleted updates', () => {
+      fs.mkdirSync(path.join(tempDir, 'info'));
+      fs.writeFileSync(path.join(tempDir, 'info', 'updates.html'), '<ol></ol>');
+      fs.writeFileSync(path.join(tempDir, 'info', 'handouts.html'), '<ol></ol>');
+      expect(parseCourseInfo(tempDir)).toBeNull();
+
+      fs.writeFileSync(path.join(tempDir, 'info', 'updates.items.json'), JSON.stringify([
+        { id: 2, date: 'June 2, 2025', content: '<p>Kept</p>', status: 'visible' },
+        { id: 1, date: 'June 1, 2025', content: '<p>Gone</p>', status: 'deleted' }
+      ]));
+      fs.writeFileSync(path.join(tempDir, 'info', 'handouts.html'), '<ol><li><a href="/static/syllabus.pdf">Syllabus</a></li></ol>');
+      expect(parseCourseInfo(tempDir)).toEqual({
+        updates: [{ date: 'June 2, 2025', content: '<p>Kept</p>' }],
+        handouts: '<ol><li><a href="/static/syllabus.pdf">Syllabus</a></li></ol>'
+      });
+    });
+
+    it('should render an Announcements chapter with a Handouts section', () => {
+      const markdown = renderAnnouncements({
+        updates: parseCourseUpdates(updates),
+        handouts: '<h3>Reading</h3><ul><li><a href="/static/syllabus.pdf">Syllabus</a></li></ul>'
+      });
+      expect(markdown).toContain('## Announcements\n');
+      expect(markdown.indexOf('### May 8, 2025')).toBeLessThan(markdown.indexOf('### May 1, 2025'));
+      expect(markdown).toContain('![](./media/welcome.png)');
+      expect(markdown).toContain('### Handouts\n');
+      expect(markdown).toContain('**Reading**');
+      expect(markdown).toContain('[Syllabus](./media/syllabus.pdf)');
+      expect(renderAnnouncements(null)).toBe('');
+    });
+
+    it('should place announcements with --announcements chapter or appendix', () => {
+      const inputDir = path.join(tempDir, 'infocourse');
+      writeMinimalCourse(inputDir, 'Info Course');
+      fs.writeFileSync(path.join(inputDir, 'course', 'run1.xml'),
+        '<course display_name="Info Course"><chapter url_name="ch1" display_name="Week 1"/></course>');
+      fs.mkdirSync(path.join(inputDir, 'info'));
+      fs.writeFileSync(path.join(inputDir, 'info', 'updates.html'), updates);
+      const cli = path.join(process.cwd(), 'courseconverter.js');
+      const run = (outputDir, ...args) => {
+        spawnSync(process.execPath, [cli, inputDir, outputDir, ...args], { encoding: 'utf8', timeout: 60000 });
+        return fs.readFileSync(path.join(outputDir, 'infocourse', 'course.md'), 'utf8');
+      };
+
+      expect(run(path.join(tempDir, 'plain'))).not.toContain('Announcements');
+      const before = run(path.join(tempDir, 'chapter'), '--announcements', 'chapter');
+      expect(before.indexOf('## Announcements')).toBeLessThan(before.indexOf('## Week 1'));
+      const after = run(path.join(tempDir, 'appendix'), '--announcements', 'appendix');
+      expect(after.indexOf('## Week 1')).toBeLessThan(after.indexOf('## Announcements'));
+      expect(() => parseAnnouncementsOption('sidebar')).toThrow('Expected chapter or appendix.');
+    });
+  });
+
+  // ============================================================================
+  // Additional Feature Tests - Static Tabs and Textbooks
+  // ============================================================================
+  describe('Static Tabs and Textbooks', () => {
+    function writeCourseWithTabs(dir) {
+      writeMinimalCourse(dir, 'Tab Course');
+      fs.writeFileSync(path.join(dir, 'course', 'run1.xml'),
+        '<course display_name="Tab Course"><chapter url_name="ch1" display_name="Week 1"/></course>');
+      fs.mkdirSync(path.join(dir, 'policies', 'run1'), { recursive: true });
+      fs.writeFileSync(path.join(dir, 'policies', 'run1', 'policy.json'), JSON.stringify({
+        'course/run1': {
+          tabs: [
+            { type: 'courseware', name: 'Course' },
+            { type: 'static_tab', name: 'Syllabus', url_slug: 'syllabus' },
+            { type: 'static_tab', name: 'Answer Key', url_slug: 'key', course_staff_only: true },
+            { type: 'static_tab', name: 'Missing', url_slug: 'missing' }
+          ],
+          pdf_textbooks: [{
+            tab_title: 'Course Reader',
+            chapters: [
+              { title: 'Intro', url: '/static/reader/intro.pdf' },
+              { title: 'Part 2', url: '/asset-v1:Org+C1+run1+type@asset+block@part2.pdf' }
+            ]
+          }],
+          textbooks: [['Open Textbook', 'https://example.org/book/']]
+        }
+      }));
+      fs.mkdirSync(path.join(dir, 'tabs'));
+      fs.writeFileSync(path.join(dir, 'tabs', 'syllabus.html'), '<h2>Weekly plan</h2><p>Week 1: basics.</p>');
+      fs.writeFileSync(path.join(dir, 'tabs', 'key.html'), '<p>Secret answers</p>');
+      fs.mkdirSync(path.join(dir, 'static', 'reader'), { recursive: true });
+      fs.writeFileSync(path.join(dir, 'static', 'reader', 'intro.pdf'), '%PDF-1.4');
+      fs.writeFileSync(path.join(dir, 'static', 'part2.pdf'), '%PDF-1.4');
+    }
+
+    it('should map course asset URLs to media/', () => {
+      expect(getMediaUrl('/static/reader/intro.pdf')).toBe('./media/reader_intro.pdf');
+      expect(getMediaUrl('/asset-v1:Org+C1+run1+type@asset+block@part2.pdf')).toBe('./media/part2.pdf');
+      expect(getMediaUrl('/c4x/Org/C1/asset/old.pdf')).toBe('./media/old.pdf');
+      expect(getMediaUrl('https://example.org/book/')).toBe('https://example.org/book/');
+    });
+
+    it('should read static tabs and textbooks from the course policy', () => {
+      writeCourseWithTabs(tempDir);
+      const logs = [];
+      const restore = captureConsole(logs);
+      let tree;
+      try {
+        tree = buildCourseTree(tempDir);
+      } finally {
+        restore();
+      }
+
+      expect(tree.tabs.map(tab => tab.id)).toEqual(['syllabus', 'key']);
+      expect(tree.tabs[1].attributes.visible_to_staff_only).toBe(true);
+      expect(logs.some(entry => entry.text.includes('Static tab page not found: tabs/missing.html'))).toBe(true);
+      expect(tree.textbooks).toEqual([
+        { title: 'Course Reader', chapters: [
+          { title: 'Intro', url: './media/reader_intro.pdf' },
+          { title: 'Part 2', url: './media/part2.pdf' }
+        ] },
+        { title: 'Open Textbook', chapters: [{ title: 'Open Textbook', url: 'https://example.org/book/' }] }
+      ]);
+      expect(parseTextbooks({})).toEqual([]);
+      expect(parseStaticTabs(tempDir, undefined)).toEqual([]);
+    });
+
+    it('should render tabs as appendix chapters and copy textbook PDFs', () => {
+      const inputDir = path.join(tempDir, 'tabcourse');
+      writeCourseWithTabs(inputDir);
+      fs.writeFileSync(path.join(inputDir, 'static', 'reader', 'unused.pdf'), '%PDF-1.4');
+      fs.writeFileSync(path.join(inputDir, 'static', 'reader', 'cover.png'), 'png');
+      const outputDir = path.join(tempDir, 'out');
+      const cli = path.join(process.cwd(), 'courseconverter.js');
+      const result = spawnSync(process.execPath, [cli, inputDir, outputDir, '--audience', 'learner'], { encoding: 'utf8', timeout: 60000 });
+      const markdown = fs.readFileSync(path.join(outputDir, 'tabcourse', 'course.md'), 'utf8');
+
+      expect(markdown.indexOf('## Week 1')).toBeLessThan(markdown.indexOf('## Syllabus'));
+      expect(markdown).toContain('## Syllabus\n\n**Weekly plan**\n\nWeek 1: basics.');
+      expect(markdown).not.toContain('Secret answers');
+      expect(result.stdout).toContain('Excluded static_tab "Answer Key": visible to staff only');
+      expect(markdown).toContain('## Reading List\n\n**Course Reader**\n\n- [Intro](./media/reader_intro.pdf)\n- [Part 2](./media/part2.pdf)');
+      expect(markdown).toContain('- [Open Textbook](https://example.org/book/)');
+      expect(fs.existsSync(path.join(outputDir, 'tabcourse', 'media', 'reader_intro.pdf'))).toBe(true);
+      expect(fs.existsSync(path.join(outputDir, 'tabcourse', 'media', 'part2.pdf'))).toBe(true);
+      expect(fs.readdirSync(path.join(outputDir, 'tabcourse', 'media')).sort()).toEqual(['cover.png', 'part2.pdf', 'reader_intro.pdf']);
+
+      expect(renderStaticTab({ title: 'Empty', content: '' })).toBe('## Empty\n\n*No content available*\n');
+      expect(renderReadingList([])).toBe('');
+    });
+  });
+
+  // ============================================================================
+  // Additional Feature Tests - Ordered Problem Bodies
+  // ============================================================================
+  describe('Ordered Problem Bodies', () => {
+    const richProblem = `
+      <problem display_name="Rich Problem">
+        <p>Look at the chart first.</p>
+        <img src="/static/chart.png" alt="Chart"/>
+        <multiplechoiceresponse>
+          <p>Which bar is <strong>tallest</strong>?</p>
+          <table><tr><th>Bar</th><th>Value</th></tr><tr><td>A</td><td>3</td></tr></table>
+          <pre><code>print(max(values))</code></pre>
+          <choicegroup>
+            <choice correct="false">Bar <em>A</em> <choicehint>Too short.</choicehint></choice>
+            <choice correct="true">Bar B</choice>
+          </choicegroup>
+          <p>Values are in metres.</p>
+        </multiplechoiceresponse>
+        <solution><div class="detailed-solution"><p>B is 5 metres tall.</p></div></solution>
+        <demandhint><hint>Compare the heights.</hint></demandhint>
+        <p>Good luck &amp; have fun.</p>
+      </problem>`;
+
+    beforeEach(() => {
+      fs.mkdirSync(path.join(tempDir, 'problem'));
+    });
+
+    it('should write order-preserving nodes back out as markup', () => {
+      const nodes = createProblemParser(true).parse('<p>Fish &amp; <b>chips</b><br/></p><img src="/static/a.png"/>');
+      expect(serializeOrderedXml(nodes)).toBe('<p>Fish &amp; <b>chips</b><br/></p><img src="/static/a.png"/>');
+    });
+
+    it('should render mixed content in order with the quiz where the input was', () => {
+      fs.writeFileSync(path.join(tempDir, 'problem', 'rich.xml'), richProblem);
+
+      const problemIR = parseProblemComponent(tempDir, { id: 'rich' });
+      expect(problemIR.problemType).toBe('multiple_choice');
+      const markdown = renderProblemComponent(problemIR);
+      const positions = [
+        'Look at the chart first.',
+        '![Chart](./media/chart.png)',
+        'Which bar is **tallest**?',
+        '| Bar | Value |',
+        'print(max(values))',
+        '- [[ ]] Bar *A*',
+        '- [[X]] Bar B',
+        'Values are in metres.',
+        'Good luck & have fun.',
+        '- Compare the heights.',
+        'B is 5 metres tall.'
+      ].map(text => markdown.indexOf(text));
+
+      expect(positions.every(position => position >= 0)).toBe(true);
+      expect(positions).toEqual([...positions].sort((a, b) => a - b));
+      expect(markdown).not.toContain('[object Object]');
+      expect(markdown).not.toContain('Too short.');
+      expect(markdown).toMatch(/- Compare the heights\.\n\n\*{40}\n\nB is 5 metres tall\.\n\n\*{40}\n$/);
+    });
+
+    it('should keep the order of inline problems and dropdowns with options attributes', () => {
+      fs.mkdirSync(path.join(tempDir, 'vertical'));
+      fs.writeFileSync(path.join(tempDir, 'vertical', 'unit.xml'), `
+        <vertical display_name="Unit">
+          <problem display_name="Inline">
+            <p>Before</p>
+            <optionresponse><optioninput options="('red','green')" correct="green"/></optionresponse>
+            <p>After</p>
+          </problem>
+        </vertical>`);
+
+      const unit = parseContainer(tempDir, 'vertical', 'unit');
+      const problemIR = parseProblemComponent(tempDir, unit.children[0]);
+      expect(problemIR.problemType).toBe('selection');
+      expect(renderProblemBody(problemIR)).toBe('Before\n\n[[ red | ( green ) ]]\n\nAfter\n');
+    });
+
+    it('should decode entities in answers and options', () => {
+      fs.writeFileSync(path.join(tempDir, 'problem', 'entities.xml'), `
+        <problem>
+          <stringresponse answer="AT&amp;T">
+            <additional_answer>AT &amp;amp; T</additional_answer>
+            <textline/>
+          </stringresponse>
+          <optionresponse><optioninput options="('a &lt; b','c &amp; d')" correct="a &lt; b"/></optionresponse>
+        </problem>`);
+
+      const markdown = renderProblemComponent(parseProblemComponent(tempDir, { id: 'entities' }));
+      expect(markdown).toContain('    [[AT&T]]');
+      expect(markdown).toContain('["AT&T","AT &amp; T"]');
+      expect(markdown).toContain('[[ ( a < b ) | c & d ]]');
+      expect(serializeOrderedXml(createProblemParser(true).parse('<img alt="a &lt; b &amp; c"/>'))).toBe('<img alt="a &lt; b &amp; c"/>');
+    });
+  });
+
+  // ============================================================================
+  // Additional Feature Tests - Numerical Answer Checking
+  // ============================================================================
+  describe('Numerical Answer Checking', () => {
+    // Run a quiz's check script the way LiaScript does, with the learner's answer filled in
+    function checkAnswer(markdown, input) {
+      const script = markdown.match(/<script>([\s\S]*?)<\/script>/)[1];
+      return (0, eval)(fillQuizInput(script, input));
+    }
+
+    it('should parse values, tolerances and intervals', () => {
+      expect(parseNumericalAnswer('100', '5')).toEqual({ value: 100, tolerance: 5 });
+      expect(parseNumericalAnswer('200', '2%')).toEqual({ value: 200, tolerance: 4 });
+      expect(parseNumericalAnswer('1e3')).toEqual({ value: 1000, tolerance: 0.01 });
+      expect(parseNumericalAnswer('[5, 7)')).toEqual({ min: 5, max: 7, includeMin: true, includeMax: false });
+      expect(parseNumericalAnswer('$computed')).toBeNull();
+      expect(renderNumericalQuiz([])).toEqual(['    [[Enter a number]]']);
+    });
+
+    it('should check answers within an absolute tolerance', () => {
+      fs.mkdirSync(path.join(tempDir, 'problem'));
+      fs.writeFileSync(path.join(tempDir, 'problem', 'num.xml'), `
+        <problem>
+          <numericalresponse answer="100">
+            <label>How many?</label>
+            <responseparam type="tolerance" default="5"/>
+            <formulaequationinput/>
+          </numericalresponse>
+        </problem>`);
+
+      const markdown = renderProblemComponent(parseProblemComponent(tempDir, { id: 'num' }));
+      expect(markdown).toContain('    [[100]]\n    <script>');
+      expect(checkAnswer(markdown, '104.5')).toBe(true);
+      expect(checkAnswer(markdown, ' 95 ')).toBe(true);
+      expect(checkAnswer(markdown, '100\n')).toBe(true);
+      expect(checkAnswer(markdown, '"100"')).toBe(false);
+      expect(checkAnswer(markdown, '100\\')).toBe(false);
+      expect(checkAnswer(markdown, '`100`')).toBe(false);
+      expect(checkAnswer(markdown, '${100}')).toBe(false);
+      expect(checkAnswer(markdown, '106')).toBe(false);
+      expect(checkAnswer(markdown, 'abc')).toBe(false);
+      expect(checkAnswer(markdown, '')).toBe(false);
+    });
+
+    it('should check percentage tolerances, intervals and additional answers', () => {
+      const content = {
+        numericalresponse: {
+          '@_answer': '[5, 7)',
+          additional_answer: [{ '@_answer': '50' }],
+          responseparam: { '@_type': 'tolerance', '@_default': '10%' }
+        }
+      };
+
+      const markdown = renderNumberInputProblem(content, 'Ranges');
+      expect(markdown).toContain('    [[6]]');
+      expect(checkAnswer(markdown, '5')).toBe(true);
+      expect(checkAnswer(markdown, '6.99')).toBe(true);
+      expect(checkAnswer(markdown, '7')).toBe(false);
+      expect(checkAnswer(markdown, '4.9')).toBe(false);
+      expect(checkAnswer(markdown, '54')).toBe(true);
+      expect(checkAnswer(markdown, '56')).toBe(false);
+    });
+  });
+
+  // ============================================================================
+  // Additional Feature Tests - Text Answer Matching
+  // ============================================================================
+  describe('Text Answer Matching', () => {
+    // Run a quiz's check script the way LiaScript does, with the learner's answer filled in
+    function checkAnswer(markdown, input, element = null) {
+      const script = markdown.match(/<script>([\s\S]*?)<\/script>/)[1];
+      globalThis.document = { getElementById: () => element };
+      try {
+        return (0, eval)(fillQuizInput(script, input));
+      } finally {
+        delete globalThis.document;
+      }
+    }
+
+    beforeEach(() => {
+      fs.mkdirSync(path.join(tempDir, 'problem'));
+    });
+
+    it('should read the matching mode from the type attribute', () => {
+      expect(parseStringResponseType('ci regexp')).toEqual({ caseInsensitive: true, regexp: true });
+      expect(parseStringResponseType(undefined)).toEqual({ caseInsensitive: false, regexp: false });
+    });
+
+    it('should match case-insensitively, ignore extra whitespace and accept every answer', () => {
+      fs.writeFileSync(path.join(tempDir, 'problem', 'ci.xml'), `
+        <problem>
+          <stringresponse answer="New  York" type="ci">
+            <additional_answer answer="NYC"/>
+            <textline/>
+          </stringresponse>
+        </problem>`);
+
+      const markdown = renderProblemComponent(parseProblemComponent(tempDir, { id: 'ci' }));
+      expect(markdown).toContain('    [[New  York]]\n    <script>');
+      expect(markdown).not.toContain('New  York | NYC');
+      expect(checkAnswer(markdown, '  new york ')).toBe(true);
+      expect(checkAnswer(markdown, 'nyc')).toBe(true);
+      expect(checkAnswer(markdown, 'Newark')).toBe(false);
+
+      const caseSensitive = renderTextQuiz({ answers: ['Paris'], caseInsensitive: false, regexp: false, feedback: [] }).join('\n');
+      expect(checkAnswer(caseSensitive, 'Paris')).toBe(true);
+      expect(checkAnswer(caseSensitive, 'paris')).toBe(false);
+    });
+
+    it('should check answers containing quotes, backslashes, backticks and line breaks', () => {
+      const quoted = renderTextQuiz({ answers: ['say "hi" \\o/'], caseInsensitive: false, regexp: false, feedback: [] }).join('\n');
+      expect(checkAnswer(quoted, 'say "hi" \\o/')).toBe(true);
+      expect(checkAnswer(quoted, 'say\n"hi" \\o/')).toBe(true);
+      expect(checkAnswer(quoted, '\\')).toBe(false);
+      expect(checkAnswer(quoted, '"')).toBe(false);
+      expect(checkAnswer(quoted, '`')).toBe(false);
+
+      const template = renderTextQuiz({ answers: ['`a` ${1+1}'], caseInsensitive: false, regexp: false, feedback: [] }).join('\n');
+      expect(checkAnswer(template, '`a` ${1+1}')).toBe(true);
+      expect(checkAnswer(template, '`a` 2')).toBe(false);
+      expect(checkAnswer(quoted, '${globalThis.quizInputRan = true}')).toBe(false);
+      expect(checkAnswer(quoted, '`; globalThis.quizInputRan = true; `')).toBe(false);
+      expect(globalThis.quizInputRan).toBeUndefined();
+
+      const pattern = renderTextQuiz({ answers: ['C:\\\\\\w+'], caseInsensitive: false, regexp: true, feedback: [] }).join('\n');
+      expect(checkAnswer(pattern, 'C:\\temp')).toBe(true);
+      expect(checkAnswer(pattern, 'C:"temp')).toBe(false);
+    });
+
+    it('should match regexp answers against the whole answer without showing the pattern', () => {
+      fs.writeFileSync(path.join(tempDir, 'problem', 're.xml'), `
+        <problem>
+          <stringresponse answer="colou?r" type="regexp ci">
+            <additional_answer answer="hue"/>
+            <textline/>
+          </stringresponse>
+        </problem>`);
+
+      const markdown = renderProblemComponent(parseProblemComponent(tempDir, { id: 're' }));
+      expect(markdown).toContain('    [[ ]]\n    <script>');
+      expect(checkAnswer(markdown, 'Color')).toBe(true);
+      expect(checkAnswer(markdown, 'colour')).toBe(true);
+      expect(checkAnswer(markdown, 'HUE')).toBe(true);
+      expect(checkAnswer(markdown, 'colors')).toBe(false);
+    });
+
+    it('should show stringequalhint feedback for specific wrong answers', () => {
+      fs.writeFileSync(path.join(tempDir, 'problem', 'hint.xml'), `
+        <problem>
+          <stringresponse answer="Paris">
+            <label>Capital of France?</label>
+            <stringequalhint answer="Paris, TX">That one is in Texas.</stringequalhint>
+            <textline/>
+          </stringresponse>
+          <demandhint><hint>It is on the Seine.</hint></demandhint>
+        </problem>`);
+
+      const markdown = renderProblemComponent(parseProblemComponent(tempDir, { id: 'hint' }));
+      const id = markdown.match(/<p id="(quiz-feedback-[0-9a-f]+)"><\/p>/)[1];
+      expect(markdown).toContain(`document.getElementById("${id}")`);
+      expect(markdown).toMatch(/<\/script>\n- \[\[\?\]\] It is on the Seine\.\n\n<p id=/);
+      expect(markdown).not.toContain('That one is in Texas.\n');
+
+      const element = { textContent: '' };
+      expect(checkAnswer(markdown, 'Paris, TX', element)).toBe(false);
+      expect(element.textContent).toBe('That one is in Texas.');
+      expect(checkAnswer(markdown, 'Paris', element)).toBe(true);
+      expect(element.textContent).toBe('');
+    });
+
+    it('should give identical quizzes in different parts and components their own feedback element', () => {
+      const part = `
+          <stringresponse answer="Paris">
+            <stringequalhint answer="Paris, TX">That one is in Texas.</stringequalhint>
+            <textline/>
+          </stringresponse>`;
+      fs.writeFileSync(path.join(tempDir, 'problem', 'twice.xml'), `<problem>${part}${part}</problem>`);
+      fs.writeFileSync(path.join(tempDir, 'problem', 'again.xml'), `<problem>${part}</problem>`);
+
+      const markdown = renderProblemComponent(parseProblemComponent(tempDir, { id: 'twice' }));
+      const ids = [...markdown.matchAll(/<p id="(quiz-feedback-[0-9a-f]+)"><\/p>/g)].map(match => match[1]);
+      expect(ids).toHaveLength(2);
+      expect(ids[0]).not.toBe(ids[1]);
+      ids.forEach(id => expect(markdown).toContain(`document.getElementById("${id}")`));
+
+      const other = renderProblemComponent(parseProblemComponent(tempDir, { id: 'again' }));
+      expect(other).not.toContain(ids[0]);
+      expect(other).not.toContain(ids[1]);
+    });
+  });
+
+  // ============================================================================
+  // Additional Feature Tests - Formula Problems
+  // ============================================================================
+  describe('Formula Problems', () => {
+    const formulaProblem = `
+      <problem display_name="Formula">
+        <formularesponse type="ci" samples="x,n@1,2:3,4#10" answer="x^n + 2*x">
+          <label>Enter the expression</label>
+          <responseparam type="tolerance" default="0.01%"/>
+          <formulaequationinput/>
+        </formularesponse>
+      </problem>`;
+
+    it('should evaluate formulas without eval', () => {
+      expect(evaluateFormula('2*x^2 - 1', { x: 3 })).toBe(17);
+      expect(evaluateFormula('-2^2')).toBe(-4);
+      expect(evaluateFormula('2^3^2')).toBe(512);
+      expect(evaluateFormula('sqrt(16) + SIN(pi/2) + ln(e)')).toBeCloseTo(6);
+      expect(evaluateFormula('fact(4) / (1 + 1)')).toBe(12);
+      expect(evaluateFormula('X + 1', { x: 1 }, true)).toBe(2);
+      expect(() => evaluateFormula('X + 1', { x: 1 })).toThrow('Unknown variable "X"');
+      expect(() => evaluateFormula('2x')).toThrow('Unexpected "x"');
+      expect(() => evaluateFormula('foo(1)')).toThrow('Unknown function "foo"');
+      expect(() => evaluateFormula('constructor')).toThrow('Unknown variable');
+      expect(() => evaluateFormula('(1 + 2')).toThrow('Expected ")"');
+    });
+
+    it('should parse sample ranges', () => {
+      expect(parseFormulaSamples('x,y@1,2:3,4#10')).toEqual({ variables: { x: [1, 3], y: [2, 4] }, count: 10 });
+      expect(parseFormulaSamples('t@-1:1')).toEqual({ variables: { t: [-1, 1] }, count: 10 });
+      expect(parseFormulaSamples(undefined)).toEqual({ variables: {}, count: 1 });
+      expect(parseFormulaSamples('x,y@1:3#5')).toBeNull();
+    });
+
+    it('should accept equivalent formulas at every sample within the tolerance', () => {
+      const spec = { answer: 'x^n + 2*x', variables: { x: [1, 3], n: [2, 4] }, count: 20, tolerance: '0.01%', caseInsensitive: true };
+      expect(checkFormulaAnswer('x*(x^(n-1) + 2)', spec)).toBe(true);
+      expect(checkFormulaAnswer('X^N + x + X', spec)).toBe(true);
+      expect(checkFormulaAnswer('x^n + 2', spec)).toBe(false);
+      expect(checkFormulaAnswer('x^n +', spec)).toBe(false);
+      expect(checkFormulaAnswer('', spec)).toBe(false);
+      expect(checkFormulaAnswer('x + 0.001', { ...spec, answer: 'x', tolerance: '0.01' })).toBe(true);
+    });
+
+    it('should fall back to a text quiz when the answer cannot be evaluated', () => {
+      const logs = [];
+      const restore = captureConsole(logs);
+      let lines;
+      try {
+        lines = renderFormulaQuiz({ answer: '$expr', samples: 'x@1:2#5' });
+      } finally {
+        restore();
+      }
+      expect(lines).toEqual(['    [[$expr]]']);
+      expect(logs.some(entry => entry.text.includes('Formula answer "$expr" cannot be checked by sampling'))).toBe(true);
+    });
+
+    it('should define the checker once in the course header for every formula quiz', () => {
+      const inputDir = path.join(tempDir, 'mathcourse');
+      writeMinimalCourse(inputDir, 'Maths');
+      fs.writeFileSync(path.join(inputDir, 'course', 'run1.xml'),
+        '<course display_name="Maths"><chapter display_name="Algebra"><problem url_name="f1"/><problem url_name="f2"/></chapter></course>');
+      fs.mkdirSync(path.join(inputDir, 'problem'));
+      fs.writeFileSync(path.join(inputDir, 'problem', 'f1.xml'), formulaProblem);
+      fs.writeFileSync(path.join(inputDir, 'problem', 'f2.xml'), formulaProblem);
+      const outputDir = path.join(tempDir, 'out');
+      const cli = path.join(process.cwd(), 'courseconverter.js');
+      spawnSync(process.execPath, [cli, inputDir, outputDir], { encoding: 'utf8', timeout: 60000 });
+      const markdown = fs.readFileSync(path.join(outputDir, 'mathcourse', 'course.md'), 'utf8');
+
+      expect(renderFormulaChecker()).toMatch(/^<!--\n@onload\nfunction evaluateFormula\([\s\S]*\nfunction checkFormulaAnswer\(/);
+      expect(markdown).toContain('---\n\n<!--\n@onload\nfunction evaluateFormula(expression, variables = {}, caseInsensitive = false) {');
+      expect(markdown).toContain('\nwindow.checkFormulaAnswer = checkFormulaAnswer;\n@end\n-->\n\n# Maths');
+      expect(markdown.match(/function evaluateFormula\(/g)).toHaveLength(1);
+      expect(markdown.match(/<script>\n {6}checkFormulaAnswer\(`@'input`, \{"answer":"x\^n \+ 2\*x"[^\n]*\);\n {4}<\/script>/g)).toHaveLength(2);
+      expect(markdown).not.toContain('cov_');
+
+      // Run the header's @onload script, then a quiz script, the way LiaScript does
+      const onload = markdown.match(/@onload\n([\s\S]*?)\n@end/)[1];
+      const script = markdown.match(/<script>([\s\S]*?)<\/script>/)[1];
+      globalThis.window = {};
+      try {
+        (0, eval)(`(function () {\n${onload}\n})()`);
+        globalThis.checkFormulaAnswer = globalThis.window.checkFormulaAnswer;
+        const check = input => (0, eval)(fillQuizInput(script, input));
+        expect(check('2*x + x^n')).toBe(true);
+        expect(check('x^n')).toBe(false);
+        expect(check('x^n + "2*x"')).toBe(false);
+        expect(check('x^n +\n2*x\\')).toBe(false);
+        expect(check('x^n + 2*x`')).toBe(false);
+        expect(check('${x^n + 2*x}')).toBe(false);
+      } finally {
+        delete globalThis.window;
+        delete globalThis.checkFormulaAnswer;
+      }
+    });
+
+    it('should leave the checker out of courses without formula quizzes', () => {
+      const inputDir = path.join(tempDir, 'plain');
+      writeMinimalCourse(inputDir, 'Plain');
+      const outputDir = path.join(tempDir, 'out');
+      spawnSync(process.execPath, [path.join(process.cwd(), 'courseconverter.js'), inputDir, outputDir], { encoding: 'utf8', timeout: 60000 });
+      const markdown = fs.readFileSync(path.join(outputDir, 'plain', 'course.md'), 'utf8');
+      expect(markdown).toMatch(/^---\nauthor: Course Converter\nemail: converter@example.com\n---\n\n# Plain\n/);
+      expect(markdown).not.toContain('@onload');
+    });
+  });
+
+  // ============================================================================
+  // Additional Feature Tests - Multi-part Problems
+  // ============================================================================
+  describe('Multi-part Problems', () => {
+    const multiPartProblem = `
+      <problem display_name="Weather">
+        <p>Answer every part.</p>
+        <optionresponse>
+          <p>The sky is <optioninput><option correct="True">blue</option><option correct="False">green</option></optioninput> on a clear day.</p>
+          <hint>Look up.</hint>
+        </optionresponse>
+        <p>Now a number.</p>
+        <numericalresponse answer="42">
+          <label>What is six times seven?</label>
+          <formulaequationinput/>
+        </numericalresponse>
+        <coderesponse><textbox/></coderesponse>
+        <optionresponse>
+          <label>Pick the warm colour</label>
+          <optioninput options="('red','blue')" correct="red"/>
+        </optionresponse>
+        <demandhint><hint>Think it through.</hint></demandhint>
+        <solution><p>Blue, 42 and red.</p></solution>
+      </problem>`;
+
+    beforeEach(() => {
+      fs.mkdirSync(path.join(tempDir, 'problem'));
+      fs.writeFileSync(path.join(tempDir, 'problem', 'multi.xml'), multiPartProblem);
+    });
+
+    it('should list every response element as a part in document order', () => {
+      const problemIR = parseProblemComponent(tempDir, { id: 'multi' });
+      expect(problemIR.problemType).toBe('selection');
+      expect(problemIR.parts.map(part => part.problemType)).toEqual(['selection', 'number_input', 'code', 'selection']);
+      expect(getProblemParts(createProblemParser(true).parse('<p>No quiz</p>'))).toEqual([]);
+    });
+
+    it('should render each part as its own quiz in document order', () => {
+      const markdown = renderProblemComponent(parseProblemComponent(tempDir, { id: 'multi' }));
+      const positions = [
+        'Answer every part.',
+        'The sky is [[ ( blue ) | green ]] on a clear day.\n- [[?]] Look up.',
+        'Now a number.',
+        'What is six times seven?',
+        '    [[42]]\n    <script>',
+        'code 类型暂不支持',
+        'Pick the warm colour',
+        '[[ ( red ) | blue ]]\n- [[?]] Think it through.',
+        'Blue, 42 and red.'
+      ].map(text => markdown.indexOf(text));
+      expect(positions.every(position => position >= 0)).toBe(true);
+      expect([...positions].sort((a, b) => a - b)).toEqual(positions);
+      expect(markdown.match(/Think it through/g)).toHaveLength(1);
+      expect(markdown.match(/Blue, 42 and red/g)).toHaveLength(1);
+    });
+
+    it('should close the problem with its demand hints and solution after any trailing text', () => {
+      fs.writeFileSync(path.join(tempDir, 'problem', 'outro.xml'), `
+        <problem>
+          <numericalresponse answer="42">
+            <label>What is six times seven?</label>
+            <formulaequationinput/>
+            <hint>Multiply.</hint>
+          </numericalresponse>
+          <p>Outro</p>
+          <demandhint><hint>Count in sevens.</hint></demandhint>
+          <solution><p>It is 42.</p></solution>
+        </problem>`);
+      const markdown = renderProblemComponent(parseProblemComponent(tempDir, { id: 'outro' }));
+
+      expect(markdown).toContain('    </script>\n- [[?]] Multiply.\n\nOutro\n\n- Count in sevens.\n\n' +
+        `${'*'.repeat(40)}\n\nIt is 42.\n\n${'*'.repeat(40)}\n`);
+      expect(markdown).not.toContain('[[?]] Count in sevens.');
+    });
+
+    it('should keep the legacy renderer when no part can be rendered as a quiz', () => {
+      fs.writeFileSync(path.join(tempDir, 'problem', 'code.xml'), '<problem><coderesponse><textbox/></coderesponse></problem>');
+      const markdown = renderProblemComponent(parseProblemComponent(tempDir, { id: 'code' }));
+      expect(markdown).toContain('*仅支持多选、单选、下拉选择、文本输入、数字输入、公式输入问题，code 类型暂不支持。*');
+    });
+
+    it('should render inline selections without touching text around them', () => {
+      fs.writeFileSync(path.join(tempDir, 'problem', 'inline.xml'), `
+        <problem>
+          <optionresponse>
+            <p>Keep liaquizinline0x and <em>pick</em> <optioninput><option correct="True">a_b</option><option correct="False">c*d</option></optioninput> or <optioninput options="('x','y')" correct="y"/>.</p>
+          </optionresponse>
+        </problem>`);
+      const markdown = renderProblemComponent(parseProblemComponent(tempDir, { id: 'inline' }));
+      expect(markdown).toContain('Keep liaquizinline0x and *pick* [[ ( a\\_b ) | c\\*d ]] or [[ x | ( y ) ]].');
+      expect(markdown).not.toContain('lia-quiz');
+    });
+  });
+});
@@ -14,9 +14,10 @@ global.createTempDir = (name) => {
   return dir;
 };
 
+// Retries cover files a just-stopped CLI child was still writing
 global.cleanupTempDir = (dir) => {
   if (fs.existsSync(dir)) {
-    fs.rmSync(dir, { recursive: true, force: true });
+    fs.rmSync(dir, { recursive: true, force: true, maxRetries: 5, retryDelay: 100 });
   }
 };
 